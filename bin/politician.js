@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN COMMAND LINE RUNNER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-008-CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * COMMAND LINE RUNNER
+ *
+ * Usage: politician [files, directories or globs...] [--format=terminal] [--reporter=module]
+ *                   [--output=path] [--jobs=N] [--file-timeout=ms] [--watch]
+ *
+ * Without arguments, every file ending in `.test.js` below the working
+ * directory is executed. Remaining `--` options are passed through to each
+ * suite.
+ *
+ * With `--jobs=N`, up to N suites run at once in worker threads; `--jobs`
+ * alone uses one job per available processor.
+ *
+ * Each suite file is stopped once it has run for `--file-timeout=ms`
+ * (default 120000; 0 disables the limit) and recorded as TIMEOUT.
+ *
+ * With `--watch`, the suites are kept under observation after the first run
+ * and those affected by a change to their files or the modules they import
+ * are executed again.
+ */
+
+import * as os from 'node:os';
+import { argv, exit } from 'node:process';
+import { attachReporterModules, createReporter, parseFormat, parseReporterModules } from '../index.js';
+import { discoverSuites, runSuites } from '../lib/runner.js';
+import { watchSuites } from '../lib/watch.js';
+
+// Parse parallel job count from command line arguments
+function parseJobs(args) {
+  const jobsArg = args.find(arg => arg === '--jobs' || arg.startsWith('--jobs='));
+  if (!jobsArg) return null;
+  const jobs = Number.parseInt(jobsArg.split('=')[1], 10);
+  return jobs > 0 ? jobs : os.availableParallelism?.() ?? os.cpus().length; // availableParallelism() since Node.js 18.14
+}
+
+// Parse the time allotment of each suite file from command line arguments
+function parseFileTimeout(args) {
+  const timeoutArg = args.find(arg => arg.startsWith('--file-timeout='));
+  return timeoutArg ? Number(timeoutArg.split('=')[1]) : undefined;
+}
+
+const RUNNER_OPTIONS = ['--jobs', '--file-timeout', '--watch'];
+
+const args = argv.slice(2);
+const patterns = args.filter(arg => !arg.startsWith('--'));
+const options = args.filter(arg => arg.startsWith('--') && !RUNNER_OPTIONS.includes(arg.split('=')[0]));
+const jobs = parseJobs(args);
+const fileTimeout = parseFileTimeout(args);
+
+const openReporter = () => attachReporterModules(createReporter(parseFormat(), {}), parseReporterModules(), {});
+const files = await discoverSuites(patterns);
+
+if (files.length === 0) {
+  const reporter = await openReporter();
+  reporter.error(`No suite files found for: ${patterns.join(' ') || '**/*.test.js'}`);
+  await reporter.close();
+  exit(1);
+}
+
+if (args.includes('--watch')) {
+  await watchSuites(files, { patterns, args: options, jobs, fileTimeout, openReporter });
+  exit(0);
+}
+
+const reporter = await openReporter();
+const passed = await runSuites(files, { args: options, reporter, jobs, fileTimeout });
+await reporter.close();
+exit(passed ? 0 : 1);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
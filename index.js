@@ -13,9 +13,26 @@
  */
 
 import { argv } from 'node:process';
+import { performance } from 'node:perf_hooks';
+import { isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { basename, dirname, join, relative, resolve, sep } from 'node:path';
 import { Reporter } from './reporters/superclass.js';
 import { TerminalReporter } from './reporters/terminal.js';
 import { MarkdownReporter } from './reporters/markdown.js';
+import { JsonReporter } from './reporters/json.js';
+import { JUnitReporter } from './reporters/junit.js';
+import { TapReporter } from './reporters/tap.js';
+import { HtmlReporter } from './reporters/html.js';
+import { CompositeReporter } from './reporters/composite.js';
+import { ReporterError, REPORTER_INTERFACE, loadReporter, validateReporter } from './reporters/plugin.js';
+import { deepEqual, typeOf } from './lib/equality.js';
+import { computeDiff, isDiffable, serialize } from './lib/diff.js';
+import { SnapshotRegistry, SNAPSHOT_STATUS } from './lib/snapshot.js';
+import { BufferSink, FileSink, StreamSink } from './lib/sink.js';
+import { checkBudget, runBenchmark } from './lib/benchmark.js';
+import { compareLedgers, ledgerEntries, ledgerRecord, loadLedger, saveLedger } from './lib/ledger.js';
+import { interpolate, tabulate } from './lib/parameters.js';
+import { checkProperty, createRandom, generators, randomSeed } from './lib/property.js';
 
 // ──────────────────────────────────────────────────────────────────────────────
 // SECTION 1: CONFIGURATION AND STATE MANAGEMENT
@@ -29,76 +46,487 @@ const VERBOSITY_LEVELS = {
   DEBUG: 4        // Everything including debug info
 };
 
-// Parse format from command line arguments
-function parseFormat() {
-  const formatArg = argv.find(arg => arg.startsWith('--format='));
-  if (formatArg) {
-    const format = formatArg.split('=')[1];
-    return format;
+const TEST_STATUS = {
+  PASSED: 'PASSED',
+  FAILED: 'FAILED',
+  TIMEOUT: 'TIMEOUT',    // Failed by exceeding its time allotment
+  HOOK_FAILED: 'HOOK_FAILED', // A lifecycle hook raised an error
+  SKIPPED: 'SKIPPED',    // Deliberately not executed
+  TODO: 'TODO'           // Pending implementation, not executed
+};
+
+const HOOK_TYPES = ['before', 'after', 'beforeEach', 'afterEach'];
+
+const RUNNER_MESSAGE = 'politician:suite';
+
+// Suites executed by the `politician` runner file their results over the
+// parent port (worker thread) or the IPC channel (child process).
+function runnerChannel() {
+  if (!isMainThread && workerData?.politicianRunner) {
+    return async message => parentPort.postMessage(message);
   }
-  return 'terminal'; // Default format
+  if (process.env.POLITICIAN_RUNNER === '1' && typeof process.send === 'function') {
+    return message => new Promise(resolve => process.send(message, () => resolve()));
+  }
+  return null;
+}
+
+const RUNNER_CHANNEL = runnerChannel();
+
+const RUNNER_OUTPUT = 'politician:output';
+
+// A suite in a parallel worker relays its file output to the runner, which
+// writes it with the suite's console output, in one piece and in file order
+const RUNNER_RELAY = !isMainThread && workerData?.politicianRunner
+  ? (path, text) => parentPort.postMessage({ type: RUNNER_OUTPUT, path: resolve(path), text })
+  : null;
+
+const RUNNER_PROGRESS = 'politician:progress';
+
+// A test result as transmitted to the runner. A message carries plain data
+// only, so values such as functions, class instances and circular structures
+// are rendered as text beforehand; the runner's records need no more.
+function transmittableResult(test) {
+  const plain = value => value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value);
+  const carried = value => plain(value) ? value ?? null : serialize(value);
+  const compact = value => serialize(value, { compact: true });
+  return {
+    ...test,
+    actual: carried(test.actual),
+    expected: carried(test.expected),
+    ...(test.property && {
+      property: { ...test.property, original: compact(test.property.original), counterexample: compact(test.property.counterexample), serialized: true }
+    })
+  };
+}
+
+// The result model as transmitted to the runner
+function transmittable(results) {
+  const tests = list => list.map(transmittableResult);
+  const subsections = list => list.map(sub => ({ ...sub, tests: tests(sub.tests) }));
+  return {
+    tests: tests(results.tests),
+    subsections: subsections(results.subsections),
+    sections: results.sections.map(section => ({ ...section, tests: tests(section.tests), subsections: subsections(section.subsections) }))
+  };
+}
+
+const DEFAULT_TIMEOUT = 5000; // Milliseconds; 0 or Infinity disables the limit
+const DEFAULT_SLOW = 75;      // Milliseconds; tests taking longer are marked slow
+const SLOWEST_LISTED = 10;    // Entries in the slowest operations table
+
+class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Exceeded time allotment of ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Race an assertion against its time allotment. Only assertions that yield to
+// the event loop can be interrupted; a synchronous infinite loop blocks the
+// timer itself.
+function withTimeout(assertion, timeout) {
+  const pending = Promise.resolve().then(assertion);
+  if (!Number.isFinite(timeout) || timeout <= 0) return pending;
+
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(timeout)), timeout);
+  });
+  return Promise.race([pending, deadline]).finally(() => clearTimeout(timer));
+}
+
+// Check a raised error against an expectation: an error class, a RegExp or
+// string matched against the message, or an object of expected properties.
+function matchesError(error, expected) {
+  if (expected === undefined || expected === null) return true;
+  const message = String(error?.message ?? error);
+  if (typeof expected === 'function') return error instanceof expected;
+  if (expected instanceof RegExp) return expected.test(message);
+  if (typeof expected === 'string') return message.includes(expected);
+  return Object.entries(expected).every(([key, value]) =>
+    value instanceof RegExp ? value.test(String(error?.[key])) : deepEqual(error?.[key], value)
+  );
+}
+
+function describeError(error) {
+  return error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+}
+
+function describeErrorExpectation(expected) {
+  if (expected === undefined || expected === null) return 'Any error';
+  if (typeof expected === 'function') return expected.name || 'Error subclass';
+  if (expected instanceof RegExp) return `Error matching ${expected}`;
+  if (typeof expected === 'string') return `Error containing "${expected}"`;
+  return expected;
+}
+
+// Parse formats from command line arguments. `--format=` may be repeated,
+// and each may name a destination: `--format=markdown:report.md`.
+function parseFormat() {
+  const formats = argv.filter(arg => arg.startsWith('--format=')).map(arg => arg.slice('--format='.length));
+  if (formats.length > 0) return formats;
+  return parseReporterModules().length > 0 ? [] : ['terminal']; // Default format
+}
+
+// Parse reporter modules, by path or package name, from command line arguments
+function parseReporterModules() {
+  return argv.filter(arg => arg.startsWith('--reporter=')).map(arg => arg.slice('--reporter='.length));
+}
+
+// Parse slow test threshold from command line arguments
+function parseSlow() {
+  const slowArg = argv.find(arg => arg.startsWith('--slow='));
+  return slowArg ? Number(slowArg.split('=')[1]) : undefined;
+}
+
+// Parse ledger destination from command line arguments
+function parseLedgerFile() {
+  const fileArg = argv.find(arg => arg.startsWith('--ledger='));
+  return fileArg ? fileArg.split('=')[1] : undefined;
+}
+
+// Parse baseline ledger from command line arguments
+function parseBaselineFile() {
+  const fileArg = argv.find(arg => arg.startsWith('--baseline='));
+  return fileArg ? fileArg.split('=')[1] : undefined;
 }
 
-// Create appropriate reporter based on format
-function createReporter(format, metadata) {
-  switch (format) {
+// Parse description filter from command line arguments
+function parseGrep() {
+  const grepArg = argv.find(arg => arg.startsWith('--grep='));
+  return grepArg ? grepArg.slice('--grep='.length) : undefined;
+}
+
+// Parse section selection from command line arguments: numbers or titles,
+// and `--section=` may be repeated
+function parseSections() {
+  return argv.filter(arg => arg.startsWith('--section=')).map(arg => arg.slice('--section='.length));
+}
+
+// Parse a comma-separated tag list from command line arguments
+function parseTags(flag) {
+  const tagArg = argv.find(arg => arg.startsWith(`${flag}=`));
+  return tagArg ? tagArg.slice(flag.length + 1).split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+// Parse random seed from command line arguments
+function parseSeed() {
+  const seedArg = argv.find(arg => arg.startsWith('--seed='));
+  return seedArg ? Number(seedArg.split('=')[1]) >>> 0 : undefined;
+}
+
+// Parse test order from command line arguments: `--random-order` shuffles
+// tests within their sections, `--random-order=sections` sections as well
+function parseRandomOrder() {
+  const orderArg = argv.find(arg => arg === '--random-order' || arg.startsWith('--random-order='));
+  if (!orderArg) return undefined;
+  return orderArg.split('=')[1] === 'sections' ? 'sections' : true;
+}
+
+// Parse snapshot update flag from command line arguments
+function parseUpdateSnapshots() {
+  return argv.includes('--update-snapshots');
+}
+
+// The suite file that is being executed
+function executingFile() {
+  return argv[1] ?? join(process.cwd(), 'suite');
+}
+
+// Snapshots live beside the suite file that is being executed
+function defaultSnapshotFile() {
+  const suiteFile = executingFile();
+  return join(dirname(suiteFile), `${basename(suiteFile)}.snap`);
+}
+
+// Parse JUnit XML destination from command line arguments
+function parseJUnitFile() {
+  const fileArg = argv.find(arg => arg.startsWith('--junit-file='));
+  return fileArg ? fileArg.split('=')[1] : undefined;
+}
+
+// Parse default output destination from command line arguments
+function parseOutput() {
+  const outputArg = argv.find(arg => arg.startsWith('--output='));
+  return outputArg ? outputArg.slice('--output='.length) : undefined;
+}
+
+// Parse HTML report destination from command line arguments
+function parseHtmlFile() {
+  const fileArg = argv.find(arg => arg.startsWith('--html-file='));
+  return fileArg ? fileArg.split('=')[1] : undefined;
+}
+
+const FORMATS = ['terminal', 'markdown', 'ascii', 'json', 'tap', 'junit', 'html'];
+
+// Create appropriate reporter based on format. A format may carry its
+// destination after a colon; otherwise `output` (or `--output=`) applies. A
+// list of formats yields a composite reporter.
+function createReporter(format, metadata, options = {}) {
+  if (Array.isArray(format)) {
+    const reporters = format.map(entry => createReporter(entry, metadata, options));
+    return reporters.length === 1 ? reporters[0] : new CompositeReporter(reporters);
+  }
+
+  const separator = format.indexOf(':');
+  const name = separator === -1 ? format : format.slice(0, separator);
+  const file = separator === -1 ? undefined : format.slice(separator + 1);
+  const output = options.output ?? parseOutput();
+  const sink = file ?? output;
+  // Under the runner, suites add to the record the runner has opened. A
+  // format that files a single document or stream (JSON, JUnit, HTML, TAP) is
+  // composed by the runner from the results every suite transmits, and the
+  // suite's own copy is discarded.
+  const append = Boolean(RUNNER_CHANNEL);
+  const relay = RUNNER_RELAY;
+  const discarded = RUNNER_CHANNEL ? new BufferSink() : null;
+
+  switch (name) {
     case 'markdown':
-      return new MarkdownReporter(metadata);
+      return new MarkdownReporter(metadata, { sink, append, relay });
     case 'terminal':
-      return new TerminalReporter(metadata);
+      return new TerminalReporter(metadata, { sink, append, relay });
     case 'ascii':
-      return new Reporter(metadata);
+      return new Reporter(metadata, { sink, append, relay });
+    case 'json':
+      return new JsonReporter(metadata, { sink: discarded ?? sink, append, relay });
+    case 'tap':
+      return new TapReporter(metadata, { sink: discarded ?? sink, append });
+    case 'junit':
+      return new JUnitReporter(metadata, { sink: discarded ?? file ?? options.junitFile ?? parseJUnitFile() ?? output });
+    case 'html':
+      return new HtmlReporter(metadata, { sink: discarded ?? file ?? options.htmlFile ?? parseHtmlFile() ?? output });
     default:
-      return new TerminalReporter(metadata);
+      throw new ReporterError(`Unknown format "${name}"; expected one of ${FORMATS.join(', ')}, or a module given with --reporter=`);
   }
 }
 
+// Add reporters imported from modules to a reporter. Resolves to the
+// reporter itself when no modules are given.
+async function attachReporterModules(reporter, modules, metadata, options = {}) {
+  if (modules.length === 0) return reporter;
+  const sinkOptions = { sink: options.output ?? parseOutput(), append: Boolean(RUNNER_CHANNEL), relay: RUNNER_RELAY };
+  const plugins = await Promise.all(modules.map(specifier => loadReporter(specifier, metadata, sinkOptions)));
+  return new CompositeReporter([reporter, ...plugins]);
+}
+
 class TestSuite {
   constructor(name, options = {}) {
     this.name = name;
     this.verbosity = options.verbosity ?? VERBOSITY_LEVELS.VERBOSE;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.slow = options.slow ?? parseSlow() ?? DEFAULT_SLOW;
     this.testNumber = 0;
     this.sectionNumber = 0;
     this.failures = [];
     this.successes = [];
+    this.skipped = [];
+    this.exclusive = false; // Set once any test is marked `only`
+    this.identities = new Map(); // Occurrences of each stable test key
+    this.declaring = { section: null, subsection: null }; // Titles tests are being declared under
+    this.withheld = 0;
+    this.withheldKeys = new Set(); // Stable keys of the tests the filters withheld
+    this.filters = this._filters(options);
+    this.seed = options.seed ?? parseSeed() ?? randomSeed(); // Replays generated cases and test order with --seed=
+    this.randomOrder = options.randomOrder ?? parseRandomOrder() ?? false;
+    this.snapshots = new SnapshotRegistry(options.snapshotFile ?? defaultSnapshotFile(), {
+      suite: name,
+      update: options.updateSnapshots ?? parseUpdateSnapshots()
+    });
+    this.ledgerFile = options.ledger ?? parseLedgerFile() ?? null;
+    this.baselineFile = options.baseline ?? parseBaselineFile() ?? null;
+    this.variance = null; // Comparison with the baseline, once filed
     this.startTime = Date.now();
 
+    // Every chained call is queued here so asynchronous tests settle in
+    // document order before the next step is reported.
+    this.pipeline = Promise.resolve();
+
+    // Result model: every test result filed under its section and subsection,
+    // returned by summary() and rendered by machine-readable reporters.
+    this.results = { tests: [], subsections: [], sections: [] };
+
+    // Lifecycle hook scopes, outermost first: the suite, the current section
+    // and the current subsection. Each scope files its results in `record`.
+    this.scopes = [this._createScope('suite', 'SUITE', name, this.results)];
+
     const metadata = {
       date: new Date().toISOString().split('T')[0],
       classification: options.classification ?? 'UNCLASSIFIED',
       documentId: options.documentId ?? `PTF-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+      ...(this.randomOrder ? { order: this.randomOrder === 'sections' ? 'RANDOM SECTIONS' : 'RANDOM', seed: this.seed } : {}),
       ...options.metadata
     };
 
-    // Create reporter based on format option or auto-detect from argv
+    this.metadata = metadata;
+
+    // Create reporter based on format option or auto-detect from argv; a
+    // list of reporters receives every report in turn
     const format = options.format ?? parseFormat();
-    this.reporter = options.reporter ?? createReporter(format, metadata);
+    this.reporter = Array.isArray(options.reporter)
+      ? new CompositeReporter(options.reporter.map(reporter => validateReporter(reporter)))
+      : options.reporter ? validateReporter(options.reporter) : createReporter(format, metadata, options);
+
+    // Reporter modules are imported before the first step is reported
+    const modules = options.reporterModules ?? parseReporterModules();
+    if (modules.length > 0) {
+      this._enqueue(async () => {
+        this.reporter = await attachReporterModules(this.reporter, modules, metadata, options);
+      });
+    }
+
+    // Modifier variants: suite.test.skip(), .test.todo(), .test.only() and
+    // suite.section.skip() are shorthands for the matching options.
+    const test = TestSuite.prototype.test.bind(this);
+    this.test = Object.assign(test, {
+      skip: (description, assertion, options = {}) => test(description, assertion, { ...options, skip: options.skip ?? true }),
+      todo: (description, assertion, options = {}) => test(description, assertion, { ...options, todo: options.todo ?? true }),
+      only: (description, assertion, options = {}) => test(description, assertion, { ...options, only: true })
+    });
+    const section = TestSuite.prototype.section.bind(this);
+    this.section = Object.assign(section, {
+      skip: (title, options = {}) => section(title, { ...options, skip: options.skip ?? true })
+    });
+
+    // In random order, steps are held as declared and released, shuffled,
+    // when the summary is requested
+    this.declared = this.randomOrder ? [] : null;
   }
 
   // ────────────────────────────────────────────────────────────────────────────
-  // SUBSECTION 1.1: Document Header and Structure
+  // SUBSECTION 1.0: Execution Pipeline
   // ────────────────────────────────────────────────────────────────────────────
 
-  header() {
-    if (this.verbosity < VERBOSITY_LEVELS.NORMAL) return this;
-    this.reporter.header(this.name);
+  // `kind` marks tests and sections, the steps random order may move
+  _enqueue(step, kind = 'step') {
+    if (this.declared) {
+      this.declared.push({ step, kind });
+      return this;
+    }
+    this.pipeline = this.pipeline.then(step);
     return this;
   }
 
-  section(title) {
-    if (this.verbosity < VERBOSITY_LEVELS.NORMAL) return this;
+  // Release the declared steps into the pipeline in random order
+  _release() {
+    if (!this.declared) return;
+    const declared = this.declared;
+    this.declared = null;
+    this._arrange(declared).forEach(step => this._enqueue(step));
+  }
 
-    this.sectionNumber++;
-    this.testNumber = 0;
-    this.reporter.section(this.sectionNumber, title);
+  // Shuffle each run of consecutive tests in place and, in `sections` order,
+  // the sections themselves; steps such as hooks, subsections and code stay
+  // where they were declared. Every test and section keeps its declared
+  // number, so the report still reads like the source.
+  _arrange(declared) {
+    const random = createRandom(this.seed);
+    const shuffle = items => {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = random.integer(0, i);
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+      return items;
+    };
 
-    return this;
+    // Run a run of tests in shuffled order, each under its declared number
+    const arrangeTests = entries => {
+      const steps = [];
+      let run = [];
+      const flush = () => {
+        if (run.length === 0) return;
+        const tests = run;
+        const order = shuffle(tests.map((_, index) => index));
+        steps.push(async () => {
+          const base = this.testNumber;
+          for (const index of order) {
+            this.testNumber = base + index;
+            await tests[index]();
+          }
+          this.testNumber = base + tests.length;
+        });
+        run = [];
+      };
+      for (const { step, kind } of entries) {
+        if (kind === 'test') {
+          run.push(step);
+        } else {
+          flush();
+          steps.push(step);
+        }
+      }
+      flush();
+      return steps;
+    };
+
+    // Steps before the first section stay first
+    const groups = [[]];
+    declared.forEach(entry => {
+      if (entry.kind === 'section') groups.push([]);
+      groups[groups.length - 1].push(entry);
+    });
+    const [preamble, ...sections] = groups;
+    const numbered = sections.map((entries, index) => ({ entries, index }));
+    if (this.randomOrder === 'sections') shuffle(numbered);
+
+    const numbering = this.verbosity >= VERBOSITY_LEVELS.NORMAL;
+    return [
+      ...arrangeTests(preamble),
+      ...numbered.flatMap(({ entries, index }) => [
+        () => { if (numbering) this.sectionNumber = index; },
+        ...arrangeTests(entries)
+      ]),
+      () => { if (numbering) this.sectionNumber = sections.length; }
+    ];
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SUBSECTION 1.1: Document Header and Structure
+  // ────────────────────────────────────────────────────────────────────────────
+
+  header() {
+    return this._enqueue(() => {
+      if (this.verbosity < VERBOSITY_LEVELS.NORMAL) return;
+      this.reporter.header(this.name);
+    });
+  }
+
+  section(title, options = {}) {
+    this.declaring = { section: title, subsection: null };
+    return this._enqueue(async () => {
+      await this._closeScopes(1);
+      if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.sectionNumber++;
+        this.testNumber = 0;
+      }
+      // A section left out by --section= keeps its number but is not filed
+      const selected = this._selected(this.sectionNumber, title);
+      if (selected && this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.reporter.section(this.sectionNumber, title);
+      }
+      const record = { number: this.sectionNumber, title, skipped: Boolean(options.skip), tests: [], subsections: [] };
+      if (selected) this.results.sections.push(record);
+      const scope = this._createScope('section', `${this.sectionNumber}`, title, record);
+      scope.skip = options.skip ?? false;
+      scope.selected = selected;
+      this.scopes.push(scope);
+    }, 'section');
   }
 
   subsection(title) {
-    if (this.verbosity < VERBOSITY_LEVELS.NORMAL) return this;
-    this.reporter.subsection(this.sectionNumber, this.testNumber + 1, title);
-    return this;
+    this.declaring = { ...this.declaring, subsection: title };
+    return this._enqueue(async () => {
+      await this._closeScopes(this.scopes.some(scope => scope.kind === 'section') ? 2 : 1);
+      const label = `${this.sectionNumber}.${this.testNumber + 1}`;
+      if (!this._deselected() && this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.reporter.subsection(this.sectionNumber, this.testNumber + 1, title);
+      }
+      const record = { id: label, title, tests: [] };
+      this.scopes[this.scopes.length - 1].record.subsections.push(record);
+      this.scopes.push(this._createScope('subsection', label, title, record));
+    });
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -106,9 +534,10 @@ class TestSuite {
   // ────────────────────────────────────────────────────────────────────────────
 
   code(language, content, label = null) {
-    if (this.verbosity < VERBOSITY_LEVELS.VERBOSE) return this;
-    this.reporter.code(language, content, label);
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity < VERBOSITY_LEVELS.VERBOSE || this._deselected()) return;
+      this.reporter.code(language, content, label);
+    });
   }
 
   javascript(content, label = null) {
@@ -119,21 +548,202 @@ class TestSuite {
   // SUBSECTION 1.3: Test Execution and Assertion
   // ────────────────────────────────────────────────────────────────────────────
 
-  test(description, assertion) {
+  test(description, assertion, options = {}) {
+    // Recorded at declaration time so `only` restricts tests queued before it,
+    // and so keys follow the declared order whatever order the tests run in
+    if (options.only) this.exclusive = true;
+    const identity = this._identify(description, options.id);
+    return this._enqueue(() => this._runTest(description, assertion, options, identity), 'test');
+  }
+
+  async _runTest(description, assertion, options, { key, duplicate }) {
     this.testNumber++;
     const testId = `${this.sectionNumber}.${this.testNumber}`;
+    if (duplicate && this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+      this.reporter.warn(duplicate);
+    }
+    if (this._withheld(description, options)) {
+      this.withheld++;
+      this.withheldKeys.add(key);
+      return;
+    }
+    const timeout = options.timeout ?? this.timeout;
+
+    const exemption = this._exemption(options);
+    if (exemption) {
+      this._fileUnexecuted({ id: testId, key, description, ...exemption });
+      return;
+    }
 
     const result = {
       id: testId,
+      key,
       description,
+      status: TEST_STATUS.FAILED,
       passed: false,
       actual: null,
       expected: null,
-      message: null
+      message: null,
+      duration: 0,
+      slow: false
+    };
+
+    // A test a failing hook kept from executing is skipped, not blamed: the
+    // hook alone is charged. Teardown follows setup, so afterEach runs only
+    // where beforeEach did.
+    const blocker = await this._enterScopes() ?? await this._runEachHooks('beforeEach', testId);
+    if (blocker) {
+      this._fileUnexecuted({ id: testId, key, description, status: TEST_STATUS.SKIPPED, message: `Not executed: ${blocker} hook failed` });
+      if (blocker === 'beforeEach') await this._runEachHooks('afterEach', testId);
+      return;
+    }
+
+    this._progress({ running: { id: testId, key, description } });
+    const started = performance.now();
+    await this._execute(assertion, timeout, result);
+    result.duration = performance.now() - started;
+    // A benchmark takes as long as its measurement is allotted
+    result.slow = !result.benchmark && result.duration > (options.slow ?? this.slow);
+    if (result.passed) result.status = TEST_STATUS.PASSED;
+    this._file(result);
+
+    if (result.passed) {
+      this.successes.push(result);
+      if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
+        this.reporter.testPassed(testId, description, result);
+      }
+    } else if (result.status === TEST_STATUS.TIMEOUT) {
+      this.failures.push(result);
+      if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
+        this.reporter.testTimedOut(testId, description, result);
+      }
+    } else {
+      this.failures.push(result);
+      if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
+        this.reporter.testFailed(testId, description, result);
+      }
+    }
+
+    if (result.benchmark && this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+      this.reporter.benchmarkReport(testId, description, result.benchmark);
+    }
+
+    await this._runEachHooks('afterEach', testId);
+  }
+
+  // The stable identity of a test: the titles of its section and subsection
+  // and its description, or the explicit `id` option. Unlike the numbered id
+  // it survives tests being added or removed around it. Handed out as tests
+  // are declared, so a repeated identity is told apart by its declared
+  // occurrence, `… #2`, even in random order. Returns the key and, for a
+  // repeat, the warning to report when the test runs.
+  _identify(description, explicitId = null) {
+    const path = [this.declaring.section, this.declaring.subsection].filter(title => title !== null);
+    const base = explicitId ?? [...path, description].join(' › ');
+    const occurrence = (this.identities.get(base) ?? 0) + 1;
+    this.identities.set(base, occurrence);
+    if (occurrence === 1) return { key: base, duplicate: null };
+
+    const key = `${base} #${occurrence}`;
+    return {
+      key,
+      duplicate: explicitId
+        ? `Duplicate test id "${explicitId}"; filed as "${key}"`
+        : `Duplicate test description "${description}" in ${path.length > 0 ? `"${path.join(' › ')}"` : 'the suite'}; filed as "${key}"`
     };
+  }
+
+  // Determine whether a test is withheld by the filters: outside the selected
+  // sections, its full title (section and subsection included) not matching
+  // the description pattern, not bearing a selected tag, or bearing an
+  // excluded one. Withheld tests keep their numbers, so that the document
+  // matches the unfiltered version.
+  _withheld(description, options) {
+    const { grep, sections, tags, excludeTags } = this.filters;
+    const tagged = options.tags ?? [];
+    if (this._deselected() || (sections.length > 0 && !this.scopes.some(scope => scope.kind === 'section'))) return true;
+    if (grep && !grep.test([...this.scopes[this.scopes.length - 1].path, description].join(' › '))) return true;
+    if (tags.length > 0 && !tagged.some(tag => tags.includes(tag))) return true;
+    return tagged.some(tag => excludeTags.includes(tag));
+  }
+
+  // The test filters, from options or else the command line
+  _filters(options) {
+    const grep = options.grep ?? parseGrep();
+    return {
+      grep: grep ? new RegExp(grep) : null,
+      sections: (options.sections ?? parseSections()).map(String),
+      tags: options.tags ?? parseTags('--tags'),
+      excludeTags: options.excludeTags ?? parseTags('--exclude-tags')
+    };
+  }
+
+  // True within a section left out by --section=
+  _deselected() {
+    return this.scopes.some(scope => scope.kind === 'section' && !scope.selected);
+  }
+
+  // A section is selected by its number or, regardless of case, its title
+  _selected(number, title) {
+    const { sections } = this.filters;
+    return sections.length === 0 || sections.some(wanted => wanted === String(number) || wanted.toLowerCase() === title.toLowerCase());
+  }
+
+  // File a result under the innermost open section or subsection
+  _file(result) {
+    this.scopes[this.scopes.length - 1].record.tests.push(result);
+    this._progress({ result: transmittableResult(result) });
+  }
+
+  // Under the runner, every test is announced as it starts and every result
+  // transmitted as it is filed, under the section and subsection of the
+  // given scopes. A suite file the runner stops part way, as one caught in
+  // a synchronous loop, keeps what it filed, and the running test is charged.
+  _progress(particulars, scopes = this.scopes) {
+    if (!RUNNER_CHANNEL) return;
+    const location = Object.fromEntries(scopes.filter(scope => scope.kind !== 'suite').map(({ kind, record }) => [
+      kind,
+      kind === 'section' ? { number: record.number, title: record.title } : { id: record.id, title: record.title }
+    ]));
+    RUNNER_CHANNEL({ type: RUNNER_PROGRESS, name: this.name, metadata: this.metadata, location, ...particulars });
+  }
+
+  // File a test that was not executed, skipped or to-do, with its reason
+  _fileUnexecuted(particulars) {
+    const result = { passed: false, actual: null, expected: null, message: null, duration: 0, slow: false, ...particulars };
+    this.skipped.push(result);
+    this._file(result);
+    if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+      if (result.status === TEST_STATUS.TODO) {
+        this.reporter.testTodo(result.id, result.description, result);
+      } else {
+        this.reporter.testSkipped(result.id, result.description, result);
+      }
+    }
+  }
 
+  // Determine whether a test is exempt from execution, and why
+  _exemption(options) {
+    const reason = value => typeof value === 'string' ? value : null;
+    if (options.todo) {
+      return { status: TEST_STATUS.TODO, message: reason(options.todo) };
+    }
+    if (options.skip) {
+      return { status: TEST_STATUS.SKIPPED, message: reason(options.skip) };
+    }
+    const skippedScope = this.scopes.find(scope => scope.skip);
+    if (skippedScope) {
+      return { status: TEST_STATUS.SKIPPED, message: reason(skippedScope.skip) ?? `Section "${skippedScope.title}" skipped` };
+    }
+    if (this.exclusive && !options.only) {
+      return { status: TEST_STATUS.SKIPPED, message: 'Excluded by only()' };
+    }
+    return null;
+  }
+
+  async _execute(assertion, timeout, result) {
     try {
-      const assertionResult = assertion();
+      const assertionResult = await withTimeout(assertion, timeout);
 
       if (typeof assertionResult === 'boolean') {
         result.passed = assertionResult;
@@ -142,25 +752,19 @@ class TestSuite {
         result.actual = assertionResult.actual;
         result.expected = assertionResult.expected;
         result.message = assertionResult.message;
+        if (assertionResult.benchmark) result.benchmark = assertionResult.benchmark;
+        if (assertionResult.property) result.property = assertionResult.property;
+        if (!result.passed && assertionResult.diff !== false && isDiffable(result.expected, result.actual)) {
+          result.diff = computeDiff(result.expected, result.actual);
+        }
       }
     } catch (error) {
       result.passed = false;
       result.message = error.message;
-    }
-
-    if (result.passed) {
-      this.successes.push(result);
-      if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
-        this.reporter.testPassed(testId, description);
-      }
-    } else {
-      this.failures.push(result);
-      if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
-        this.reporter.testFailed(testId, description, result);
+      if (error instanceof TimeoutError) {
+        result.status = TEST_STATUS.TIMEOUT;
       }
     }
-
-    return this;
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -190,34 +794,280 @@ class TestSuite {
     }));
   }
 
+  assertDeepEqual(actual, expected, description) {
+    return this.test(description, () => {
+      const passed = deepEqual(actual, expected);
+      return {
+        passed,
+        actual,
+        expected,
+        message: passed ? null : 'Structures do not match'
+      };
+    });
+  }
+
+  assertThrows(fn, expected, description) {
+    return this.test(description, () => {
+      try {
+        fn();
+      } catch (error) {
+        const passed = matchesError(error, expected);
+        return {
+          passed,
+          actual: describeError(error),
+          expected: describeErrorExpectation(expected),
+          message: passed ? null : 'Raised error does not match'
+        };
+      }
+      return {
+        passed: false,
+        actual: 'No error raised',
+        expected: describeErrorExpectation(expected),
+        message: 'Expected function to throw'
+      };
+    });
+  }
+
+  assertRejects(promise, expected, description) {
+    // The promise may settle before its turn in the pipeline; mark the
+    // rejection as handled so Node does not treat it as unhandled meanwhile.
+    if (typeof promise?.catch === 'function') promise.catch(() => {});
+
+    return this.test(description, async () => {
+      try {
+        await (typeof promise === 'function' ? promise() : promise);
+      } catch (error) {
+        const passed = matchesError(error, expected);
+        return {
+          passed,
+          actual: describeError(error),
+          expected: describeErrorExpectation(expected),
+          message: passed ? null : 'Rejection reason does not match'
+        };
+      }
+      return {
+        passed: false,
+        actual: 'Promise fulfilled',
+        expected: describeErrorExpectation(expected),
+        message: 'Expected promise to reject'
+      };
+    });
+  }
+
+  assertMatch(actual, pattern, description) {
+    return this.test(description, () => {
+      const passed = typeof actual === 'string' && pattern.test(actual);
+      return {
+        passed,
+        actual,
+        expected: String(pattern),
+        message: passed ? null : 'Value does not match pattern',
+        diff: false
+      };
+    });
+  }
+
+  assertIncludes(container, item, description) {
+    const includes = () => {
+      if (typeof container === 'string') return container.includes(item);
+      if (container instanceof Map) return container.has(item);
+      if (container instanceof Set) return container.has(item) || [...container].some(value => deepEqual(value, item));
+      if (container && typeof container[Symbol.iterator] === 'function') return [...container].some(value => deepEqual(value, item));
+      return false;
+    };
+
+    return this.test(description, () => {
+      const passed = includes();
+      return {
+        passed,
+        actual: container,
+        expected: item,
+        message: passed ? null : 'Item not found in collection',
+        diff: false
+      };
+    });
+  }
+
+  assertCloseTo(actual, expected, description, tolerance = 1e-6) {
+    return this.test(description, () => {
+      const passed = typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+      return {
+        passed,
+        actual,
+        expected: `${expected} ± ${tolerance}`,
+        message: passed ? null : `Difference of ${Math.abs(actual - expected)} exceeds tolerance`
+      };
+    });
+  }
+
+  // `type` is a name as classified by typeOf() ('string', 'array', 'date',
+  // 'map', 'null', ...) or a constructor checked with instanceof.
+  assertType(actual, type, description) {
+    return this.test(description, () => {
+      const passed = typeof type === 'function' ? actual instanceof type : typeOf(actual) === type;
+      return {
+        passed,
+        actual: typeOf(actual),
+        expected: typeof type === 'function' ? type.name : type,
+        message: passed ? null : 'Value is not of the expected type'
+      };
+    });
+  }
+
+  assertSnapshot(actual, name, description = `Snapshot "${name}" conforms to record`) {
+    // Claimed as declared, so a skipped check does not leave its record obsolete
+    this.snapshots.claim(name);
+    return this.test(description, async () => {
+      const { status, expected, actual: recorded } = await this.snapshots.check(name, actual);
+      return {
+        passed: status !== SNAPSHOT_STATUS.MISMATCHED,
+        actual: recorded,
+        expected,
+        message: status === SNAPSHOT_STATUS.MISMATCHED ? 'Snapshot does not match record' : null
+      };
+    });
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SUBSECTION 1.5: Report Generation and Summary
   // ────────────────────────────────────────────────────────────────────────────
 
   summary() {
-    if (this.verbosity < VERBOSITY_LEVELS.NORMAL) {
-      return this.failures.length === 0;
-    }
+    this._release();
+    this._enqueue(() => this._closeScopes(0));
+    this._enqueue(() => this._fileSnapshots());
+    this._enqueue(() => this._fileLedger());
+    this._enqueue(() => this._transmit());
+    this._enqueue(() => this._summarize());
+    return this.pipeline;
+  }
 
+  _statistics() {
     const duration = Date.now() - this.startTime;
-    const total = this.successes.length + this.failures.length;
     const passed = this.successes.length;
     const failed = this.failures.length;
-    const passRate = total > 0 ? ((passed / total) * 100).toFixed(2) : 0;
+    const skipped = this.skipped.filter(s => s.status === TEST_STATUS.SKIPPED).length;
+    const todo = this.skipped.filter(s => s.status === TEST_STATUS.TODO).length;
+    const total = passed + failed + skipped + todo;
+    const executed = passed + failed;
+    const timedOut = this.failures.filter(f => f.status === TEST_STATUS.TIMEOUT).length;
+    const hookFailures = this.failures.filter(f => f.status === TEST_STATUS.HOOK_FAILED).length;
+    const slow = [...this.successes, ...this.failures].filter(result => result.slow).length;
+    const passRate = executed > 0 ? ((passed / executed) * 100).toFixed(2) : 0;
+
+    return { total, passed, failed, timedOut, hookFailures, skipped, todo, slow, withheld: this.withheld, passRate, duration };
+  }
+
+  // The longest-running executed tests, slowest first
+  _slowest() {
+    return [...this.successes, ...this.failures]
+      .filter(result => result.status !== TEST_STATUS.HOOK_FAILED && !result.benchmark && result.duration > 0)
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST_LISTED)
+      .map(({ id, description, duration, slow }) => ({ id, description, duration, slow }));
+  }
+
+  _summarize() {
+    const stats = this._statistics();
+    const document = {
+      suite: this.name,
+      metadata: this.metadata,
+      ...this.results,
+      stats,
+      slowest: this._slowest(),
+      variance: this.variance,
+      passed: stats.failed === 0
+    };
 
-    const stats = { total, passed, failed, passRate, duration };
+    if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+      this._narrate(document);
+    }
+
+    // Machine-readable records are filed at every verbosity
+    this.reporter.report(document);
+    return document;
+  }
+
+  // The human-readable closing of the document: status report, slowest
+  // operations, variance and failure particulars
+  _narrate(document) {
+    const { stats } = document;
+
+    if (this.randomOrder) {
+      this.reporter.info(`Tests ran in random order with seed ${this.seed}; replay with --random-order${this.randomOrder === 'sections' ? '=sections' : ''} --seed=${this.seed}`);
+    }
     this.reporter.summary(stats);
 
-    if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE && failed > 0) {
+    if (document.slowest.length > 0) {
+      this.reporter.slowestOperations(document.slowest);
+    }
+
+    if (this.variance) {
+      this.reporter.baselineReport(this.variance);
+    }
+
+    if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE && stats.failed > 0) {
       this.reporter.failureDetails(this.failures);
     }
+  }
+
+  // File this suite's results with the `politician` runner when executed
+  // under it, through a message channel rather than console output.
+  _transmit() {
+    if (!RUNNER_CHANNEL) return;
+    return RUNNER_CHANNEL({
+      type: RUNNER_MESSAGE,
+      name: this.name,
+      metadata: this.metadata,
+      results: transmittable(this.results),
+      stats: this._statistics(),
+      slowest: this._slowest(),
+      failures: this.failures.map(({ id, description, status, message }) => ({ id, description, status, message }))
+    });
+  }
+
+  // Compare this run with its filing in the baseline ledger, then record it
+  // in the ledger beside the other suites filed there. The baseline is read
+  // first, so both may name the same file. Tests withheld by the filters
+  // are not reported as removed, and keep their previous entries.
+  async _fileLedger() {
+    if (!this.ledgerFile && !this.baselineFile) return;
+    const entries = ledgerEntries(this.results);
+    const suite = { file: relative(process.cwd(), executingFile()).split(sep).join('/'), name: this.name };
+
+    if (this.baselineFile) {
+      const baseline = await loadLedger(this.baselineFile);
+      const record = baseline && ledgerRecord(baseline, suite);
+      if (record) {
+        this.variance = compareLedgers({ ...record, file: this.baselineFile }, entries, this.withheldKeys);
+      } else if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.reporter.warn(baseline
+          ? `Baseline ledger holds no filing of ${suite.file} › ${suite.name}: ${this.baselineFile}`
+          : `Baseline ledger not found: ${this.baselineFile}`);
+      }
+    }
 
-    return failed === 0;
+    if (this.ledgerFile) {
+      await saveLedger(this.ledgerFile, suite, this.metadata, entries, this.withheldKeys);
+    }
   }
 
+  // Records are obsolete only when no test was withheld: a withheld test may
+  // be the one that checks them
+  async _fileSnapshots() {
+    const report = await this.snapshots.save({ prune: this.withheld === 0 });
+    const noteworthy = report.written.length + report.updated.length + report.obsolete.length + report.removed.length;
+    if (noteworthy > 0 && this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+      this.reporter.snapshotReport(report);
+    }
+  }
+
+  // The reporter's sinks are flushed and closed before the process exits
   exit() {
-    const success = this.summary();
-    process.exit(success ? 0 : 1);
+    return this.summary().then(async document => {
+      await this.reporter.close();
+      process.exit(document.passed ? 0 : 1);
+    });
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -225,10 +1075,11 @@ class TestSuite {
   // ────────────────────────────────────────────────────────────────────────────
 
   diff(expected, actual, label = null) {
-    if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
-      this.reporter.diff(expected, actual, label);
-    }
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
+        this.reporter.diff(expected, actual, label ?? undefined);
+      }
+    });
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -236,38 +1087,241 @@ class TestSuite {
   // ────────────────────────────────────────────────────────────────────────────
 
   log(...args) {
-    if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
-      this.reporter.log(...args);
-    }
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
+        this.reporter.log(...args);
+      }
+    });
   }
 
   info(...args) {
-    if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
-      this.reporter.info(...args);
-    }
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.reporter.info(...args);
+      }
+    });
   }
 
   warn(...args) {
-    if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
-      this.reporter.warn(...args);
-    }
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.NORMAL) {
+        this.reporter.warn(...args);
+      }
+    });
   }
 
   error(...args) {
-    if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
-      this.reporter.error(...args);
-    }
-    return this;
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
+        this.reporter.error(...args);
+      }
+    });
   }
 
   success(...args) {
-    if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
-      this.reporter.success(...args);
+    return this._enqueue(() => {
+      if (this.verbosity >= VERBOSITY_LEVELS.VERBOSE) {
+        this.reporter.success(...args);
+      }
+    });
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SUBSECTION 1.8: Lifecycle Hooks
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // Hooks attach to the innermost open scope. `before` runs ahead of the first
+  // test in that scope, `after` when the scope closes, and the `Each` variants
+  // wrap every test in the scope and in its nested subsections.
+
+  before(hook) {
+    return this._registerHook('before', hook);
+  }
+
+  after(hook) {
+    return this._registerHook('after', hook);
+  }
+
+  beforeEach(hook) {
+    return this._registerHook('beforeEach', hook);
+  }
+
+  afterEach(hook) {
+    return this._registerHook('afterEach', hook);
+  }
+
+  _registerHook(type, hook) {
+    return this._enqueue(() => {
+      this.scopes[this.scopes.length - 1].hooks[type].push(hook);
+    });
+  }
+
+  _createScope(kind, label, title, record) {
+    const hooks = Object.fromEntries(HOOK_TYPES.map(type => [type, []]));
+    // Titles of the enclosing section and subsection, for hook keys and --grep
+    const path = kind === 'suite' ? [] : [...this.scopes[this.scopes.length - 1].path, title];
+    return { kind, label, title, path, record, hooks, entered: false, failed: false };
+  }
+
+  // Run pending `before` hooks from the outside in. Returns the name of the
+  // failed hook when the scope cannot be entered.
+  async _enterScopes() {
+    for (const scope of this.scopes) {
+      if (!scope.entered) {
+        scope.entered = true;
+        for (const hook of scope.hooks.before) {
+          if (!await this._runHook(hook, scope, 'before', `opening "${scope.title}"`)) {
+            scope.failed = true;
+            break;
+          }
+        }
+      }
+      if (scope.failed) return 'before';
     }
-    return this;
+    return null;
+  }
+
+  // Close scopes beyond the given depth, running their `after` hooks from the
+  // inside out. Teardown runs whenever the scope was entered, even if its
+  // setup or tests failed.
+  async _closeScopes(depth) {
+    while (this.scopes.length > depth) {
+      const scope = this.scopes.pop();
+      if (!scope.entered) continue;
+      for (const hook of scope.hooks.after) {
+        await this._runHook(hook, scope, 'after', `closing "${scope.title}"`);
+      }
+    }
+  }
+
+  // beforeEach runs outermost first and stops at the first failure; afterEach
+  // runs innermost first and always runs every hook.
+  async _runEachHooks(type, testId) {
+    const scopes = type === 'beforeEach' ? this.scopes : [...this.scopes].reverse();
+    let blocker = null;
+    for (const scope of scopes) {
+      for (const hook of scope.hooks[type]) {
+        if (!await this._runHook(hook, scope, type, `around TEST ${testId}`)) {
+          if (type === 'beforeEach') return type;
+          blocker = type;
+        }
+      }
+    }
+    return blocker;
+  }
+
+  async _runHook(hook, scope, type, context) {
+    try {
+      await withTimeout(hook, this.timeout);
+      return true;
+    } catch (error) {
+      const result = {
+        id: `${scope.label}:${type}`,
+        key: [...scope.path, `${type} hook`].join(' › '),
+        description: `${type} hook ${context}`,
+        status: TEST_STATUS.HOOK_FAILED,
+        passed: false,
+        actual: null,
+        expected: null,
+        message: error.message,
+        duration: 0
+      };
+      this.failures.push(result);
+      scope.record.tests.push(result);
+      // A scope being closed has already left the open scopes
+      const index = this.scopes.indexOf(scope);
+      this._progress({ result: transmittableResult(result) }, index === -1 ? [...this.scopes, scope] : this.scopes.slice(0, index + 1));
+      if (this.verbosity >= VERBOSITY_LEVELS.QUIET) {
+        this.reporter.hookFailed(result.id, result.description, result);
+      }
+      return false;
+    }
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SUBSECTION 1.9: Performance Measurement
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // Measure an operation as a test: it passes unless it breaks its `budget`.
+  // Measurement settings (warmup, maxTime, targetRme, ...) are taken from
+  // options alongside the usual test options.
+  benchmark(description, fn, options = {}) {
+    return this.test(description, async () => {
+      const statistics = await runBenchmark(fn, options);
+      const breaches = checkBudget(statistics, options.budget);
+      return {
+        passed: breaches.length === 0,
+        actual: breaches.length > 0 ? breaches.map(({ metric, measured }) => `${metric} ${measured}`).join(', ') : null,
+        expected: breaches.length > 0 ? breaches.map(({ metric, limit }) => `${metric} ${limit}`).join(', ') : null,
+        message: breaches.length > 0 ? 'Performance budget exceeded' : null,
+        benchmark: statistics
+      };
+    }, options);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SUBSECTION 1.10: Parameterized Tests
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // Declare one numbered test per row: `each(rows).test(template, fn, options)`.
+  // An array row is spread into the assertion and fills printf-style
+  // placeholders; any other row is passed whole, and an object row fills
+  // `$name` placeholders. With `options.table` the rows are first entered in
+  // the document as a data table, under `options.columns` if given.
+  each(rows, options = {}) {
+    return {
+      test: (template, assertion, testOptions = {}) => {
+        if (options.table) this._enqueue(() => this._dataTable(rows, template, options.columns));
+        rows.forEach((row, index) => {
+          const args = Array.isArray(row) ? row : [row];
+          this.test(interpolate(template, row, index), () => assertion(...args), testOptions);
+        });
+        return this;
+      }
+    };
+  }
+
+  // Enter a data table, each row beside the number its test will receive
+  _dataTable(rows, caption, columns) {
+    if (this.verbosity < VERBOSITY_LEVELS.VERBOSE || this._deselected()) return;
+    const { headings, cells } = tabulate(rows, columns);
+    this.reporter.dataTable(
+      ['TEST', ...headings],
+      cells.map((row, index) => [`${this.sectionNumber}.${this.testNumber + index + 1}`, ...row]),
+      caption
+    );
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SUBSECTION 1.11: Property-Based Tests
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // Verify that a predicate holds for generated cases: `generators` is an
+  // array of generators, whose values are passed as separate arguments, or a
+  // single generator or shape of generators, whose value is passed whole.
+  // Cases are drawn from the suite's seed unless `options.seed` is given;
+  // `options.runs` sets how many (default 100). A falsified property fails
+  // with its counterexample, shrunk as far as it will go.
+  property(description, generators, predicate, options = {}) {
+    return this.test(description, async () => {
+      const outcome = await checkProperty(generators, predicate, { ...options, seed: options.seed ?? this.seed });
+      if (outcome.passed) return { passed: true, actual: null, expected: null, message: null };
+
+      const cause = outcome.error ? `: ${describeError(outcome.error)}` : '';
+      return {
+        passed: false,
+        actual: null,
+        expected: null,
+        message: `Property falsified after ${outcome.runs} case(s) with seed ${outcome.seed}${cause}`,
+        property: {
+          seed: outcome.seed,
+          runs: outcome.runs,
+          original: outcome.original,
+          counterexample: outcome.counterexample,
+          shrinks: outcome.shrinks
+        }
+      };
+    }, options);
   }
 }
 
@@ -312,7 +1366,22 @@ export function printJavaScript(string) {
   console.log('```JavaScript\n', `${string.trim()}\n`, '```\n');
 }
 
-export { VERBOSITY_LEVELS };
+export { VERBOSITY_LEVELS, TEST_STATUS, RUNNER_MESSAGE, RUNNER_OUTPUT, RUNNER_PROGRESS, createReporter, parseFormat };
+export { REPORTER_INTERFACE, ReporterError, attachReporterModules, parseReporterModules, validateReporter };
+export { generators };
+export {
+  Reporter,
+  TerminalReporter,
+  MarkdownReporter,
+  JsonReporter,
+  JUnitReporter,
+  TapReporter,
+  HtmlReporter,
+  CompositeReporter,
+  BufferSink,
+  FileSink,
+  StreamSink
+};
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // END OF DOCUMENT
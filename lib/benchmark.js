@@ -0,0 +1,161 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PERFORMANCE MEASUREMENT
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-018-BENCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * PERFORMANCE MEASUREMENT
+ *
+ * Times an operation after a warmup period, in batches large enough to be
+ * measured reliably, and keeps sampling until the relative margin of error
+ * falls below its target or the time allotted to measurement runs out.
+ */
+
+import { performance } from 'node:perf_hooks';
+
+const DEFAULTS = {
+  warmup: 50,          // Milliseconds of unrecorded execution before sampling
+  minSampleTime: 5,    // Milliseconds each timed batch must last
+  minSamples: 10,
+  maxSamples: 1000,
+  maxTime: 1000,       // Milliseconds of sampling before settling for the result
+  targetRme: 1         // Percent; sampling stops once the margin is this narrow
+};
+
+// Two-tailed Student's t critical values at 95% confidence, by degrees of
+// freedom; beyond the table the normal approximation applies.
+const T_TABLE = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: MEASUREMENT
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Milliseconds taken by `count` consecutive calls; promises are awaited
+async function timeBatch(fn, count) {
+  const started = performance.now();
+  for (let i = 0; i < count; i++) {
+    const result = fn();
+    if (result && typeof result.then === 'function') await result;
+  }
+  return performance.now() - started;
+}
+
+// Measure an operation. Resolves to its statistics, in milliseconds per
+// operation: `{ mean, p50, p95, p99, min, max, deviation, rme, opsPerSecond,
+// samples, batch, iterations, stable }`.
+export async function runBenchmark(fn, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+
+  // Warm up, doubling the batch until one batch fills the minimum sample time
+  let batch = 1;
+  const warmupEnd = performance.now() + settings.warmup;
+  let elapsed;
+  do {
+    elapsed = await timeBatch(fn, batch);
+    if (elapsed < settings.minSampleTime) batch *= 2;
+  } while (performance.now() < warmupEnd || elapsed < settings.minSampleTime);
+
+  const samples = [];
+  const started = performance.now();
+  let statistics;
+  do {
+    samples.push(await timeBatch(fn, batch) / batch);
+    statistics = summarize(samples);
+    if (samples.length < settings.minSamples) continue;
+    if (statistics.rme <= settings.targetRme || performance.now() - started >= settings.maxTime) break;
+  } while (samples.length < settings.maxSamples);
+
+  return {
+    ...statistics,
+    batch,
+    iterations: samples.length * batch,
+    stable: statistics.rme <= settings.targetRme
+  };
+}
+
+function summarize(samples) {
+  const n = samples.length;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = samples.reduce((sum, sample) => sum + sample, 0) / n;
+  const variance = n > 1 ? samples.reduce((sum, sample) => sum + (sample - mean) ** 2, 0) / (n - 1) : 0;
+  const deviation = Math.sqrt(variance);
+  const critical = T_TABLE[n - 2] ?? 1.96;
+  const rme = mean > 0 ? (critical * deviation / Math.sqrt(n)) / mean * 100 : 0;
+  const percentile = p => sorted[Math.min(n - 1, Math.max(0, Math.ceil(p / 100 * n) - 1))];
+
+  return {
+    mean,
+    p50: percentile(50),
+    p95: percentile(95),
+    p99: percentile(99),
+    min: sorted[0],
+    max: sorted[n - 1],
+    deviation,
+    rme,
+    opsPerSecond: mean > 0 ? 1000 / mean : Infinity,
+    samples: n
+  };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: PERFORMANCE BUDGETS
+// ──────────────────────────────────────────────────────────────────────────────
+
+const CEILINGS = ['mean', 'p50', 'p95', 'p99'];
+
+// Compare statistics with a budget: a number is the ceiling for the mean in
+// milliseconds; an object may set ceilings for mean, p50, p95 and p99 and a
+// floor for opsPerSecond. Returns every breach as `{ metric, limit, measured }`.
+export function checkBudget(statistics, budget) {
+  if (budget === undefined || budget === null) return [];
+  const limits = typeof budget === 'number' ? { mean: budget } : budget;
+  const breaches = [];
+
+  for (const metric of CEILINGS) {
+    if (limits[metric] !== undefined && statistics[metric] > limits[metric]) {
+      breaches.push({ metric, limit: `≤ ${formatDuration(limits[metric])}`, measured: formatDuration(statistics[metric]) });
+    }
+  }
+  if (limits.opsPerSecond !== undefined && statistics.opsPerSecond < limits.opsPerSecond) {
+    breaches.push({ metric: 'ops/sec', limit: `≥ ${formatOps(limits.opsPerSecond)}`, measured: formatOps(statistics.opsPerSecond) });
+  }
+  return breaches;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PRESENTATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A duration in milliseconds, in the most legible unit
+export function formatDuration(milliseconds) {
+  if (milliseconds < 0.001) return `${(milliseconds * 1e6).toFixed(2)}ns`;
+  if (milliseconds < 1) return `${(milliseconds * 1e3).toFixed(2)}µs`;
+  if (milliseconds < 1000) return `${milliseconds.toFixed(2)}ms`;
+  return `${(milliseconds / 1000).toFixed(2)}s`;
+}
+
+export function formatOps(opsPerSecond) {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: opsPerSecond < 100 ? 2 : 0 }).format(opsPerSecond);
+}
+
+// The columns of a benchmark table, as [heading, value] pairs
+export function benchmarkColumns(statistics) {
+  return [
+    ['OPS/SEC', formatOps(statistics.opsPerSecond)],
+    ['MEAN', formatDuration(statistics.mean)],
+    ['P50', formatDuration(statistics.p50)],
+    ['P95', formatDuration(statistics.p95)],
+    ['P99', formatDuration(statistics.p99)],
+    ['RME', `±${statistics.rme.toFixed(2)}%${statistics.stable ? '' : '*'}`],
+    ['SAMPLES', `${statistics.samples} × ${statistics.batch}`]
+  ];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
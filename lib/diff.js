@@ -0,0 +1,274 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN DIFFERENTIAL ANALYSIS ENGINE
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-006-DIFF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * DIFFERENTIAL ANALYSIS ENGINE
+ *
+ * Computes the variance between an expected and an actual state. Produces a
+ * line-oriented differential with surrounding context (longest common
+ * subsequence) and, for structured values, a register of variances keyed by
+ * property path such as `users[3].email`.
+ */
+
+import { deepEqual, typeOf } from './equality.js';
+
+const DEFAULT_CONTEXT = 3;         // Unchanged lines shown around each change
+const MAX_LCS_CELLS = 4_000_000;   // Beyond this, fall back to full replacement
+const MAX_COMPACT_LENGTH = 60;     // Truncation limit for values in the path register
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: SERIALIZATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Render a value as indented, JSON-like text. Unlike JSON.stringify it shows
+// Maps, Sets, Dates, typed arrays, undefined and circular references.
+export function serialize(value, options = {}) {
+  return render(value, options.compact ?? false, '', new Set());
+}
+
+function render(value, compact, indent, seen) {
+  switch (typeOf(value)) {
+    case 'string': return JSON.stringify(value);
+    case 'undefined': return 'undefined';
+    case 'bigint': return `${value}n`;
+    case 'symbol': return value.toString();
+    case 'function': return `[Function${value.name ? ` ${value.name}` : ''}]`;
+    case 'date': return Number.isNaN(value.getTime()) ? 'Date(Invalid)' : `Date(${value.toISOString()})`;
+    case 'regexp': return String(value);
+    case 'error': return `[${value.name}: ${value.message}]`;
+    case 'promise': return 'Promise';
+    case 'null':
+    case 'number':
+    case 'boolean':
+      return String(value);
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  const inner = indent + '  ';
+  const item = child => render(child, compact, inner, seen);
+  let open, close, entries;
+
+  switch (typeOf(value)) {
+    case 'array':
+      [open, close, entries] = ['[', ']', value.map(item)];
+      break;
+    case 'typedarray':
+      [open, close, entries] = [`${value.constructor.name} [`, ']', Array.from(value, String)];
+      break;
+    case 'map':
+      [open, close, entries] = ['Map {', '}', [...value].map(([key, child]) => `${item(key)} => ${item(child)}`)];
+      break;
+    case 'set':
+      [open, close, entries] = ['Set [', ']', [...value].map(item)];
+      break;
+    default: {
+      const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+      [open, close, entries] = [`${name}{`, '}', Object.keys(value).map(key => `${JSON.stringify(key)}: ${item(value[key])}`)];
+    }
+  }
+
+  seen.delete(value);
+
+  if (entries.length === 0) return `${open}${close}`;
+  if (compact) return `${open} ${entries.join(', ')} ${close}`;
+  return `${open}\n${entries.map(entry => inner + entry).join(',\n')}\n${indent}${close}`;
+}
+
+function compactly(value) {
+  const text = serialize(value, { compact: true });
+  return text.length > MAX_COMPACT_LENGTH ? text.slice(0, MAX_COMPACT_LENGTH - 1) + '…' : text;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: LINE DIFFERENTIAL
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Compare two texts line by line. Returns hunks in unified diff form: each
+// carries its line ranges and entries of `{ op, text }` where op is ' '
+// (unchanged context), '-' (expected only) or '+' (actual only).
+export function diffLines(expectedText, actualText, context = DEFAULT_CONTEXT) {
+  const a = expectedText.split('\n');
+  const b = actualText.split('\n');
+
+  // Common leading and trailing lines need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = text => ({ op: ' ', text });
+  const ops = [
+    ...a.slice(0, start).map(same),
+    ...longestCommonSubsequence(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(same)
+  ];
+
+  return toHunks(ops, context);
+}
+
+function longestCommonSubsequence(a, b) {
+  const removed = a.map(text => ({ op: '-', text }));
+  const added = b.map(text => ({ op: '+', text }));
+  if (a.length === 0 || b.length === 0 || a.length * b.length > MAX_LCS_CELLS) {
+    return [...removed, ...added];
+  }
+
+  // table[i][j] holds the LCS length of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const table = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push(removed[i++]);
+    } else {
+      ops.push(added[j++]);
+    }
+  }
+  return [...ops, ...removed.slice(i), ...added.slice(j)];
+}
+
+function toHunks(ops, context) {
+  const keep = new Array(ops.length).fill(false);
+  ops.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    const last = Math.min(ops.length - 1, index + context);
+    for (let k = Math.max(0, index - context); k <= last; k++) keep[k] = true;
+  });
+
+  const hunks = [];
+  let current = null;
+  let lineA = 1;
+  let lineB = 1;
+
+  ops.forEach((entry, index) => {
+    if (keep[index]) {
+      if (!current) {
+        current = { expectedStart: lineA, expectedCount: 0, actualStart: lineB, actualCount: 0, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(entry);
+      if (entry.op !== '+') current.expectedCount++;
+      if (entry.op !== '-') current.actualCount++;
+    } else {
+      current = null;
+    }
+    if (entry.op !== '+') lineA++;
+    if (entry.op !== '-') lineB++;
+  });
+
+  return hunks;
+}
+
+export function formatHunkHeader(hunk) {
+  return `@@ -${hunk.expectedStart},${hunk.expectedCount} +${hunk.actualStart},${hunk.actualCount} @@`;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: STRUCTURAL DIFFERENTIAL
+// ──────────────────────────────────────────────────────────────────────────────
+
+const CONTAINERS = ['object', 'array', 'map'];
+
+// Walk two structures in parallel and list every differing leaf as
+// `{ path, kind, expected, actual }`; kind is 'changed', 'added' or 'removed'
+// and values are compact renderings.
+export function diffObjects(expected, actual) {
+  const changes = [];
+  walk(expected, actual, [], changes, new Set());
+  return changes;
+}
+
+function walk(expected, actual, path, changes, seen) {
+  if (deepEqual(expected, actual)) return;
+
+  const kind = typeOf(expected);
+  if (kind !== typeOf(actual) || !CONTAINERS.includes(kind) || seen.has(expected)) {
+    changes.push({ path: formatPath(path), kind: 'changed', expected: compactly(expected), actual: compactly(actual) });
+    return;
+  }
+  seen.add(expected);
+
+  const get = (container, key) => kind === 'map' ? container.get(key) : container[key];
+  const has = (container, key) => kind === 'map' ? container.has(key) : Object.prototype.hasOwnProperty.call(container, key);
+  const keys = container => kind === 'map' ? [...container.keys()] : Object.keys(container);
+
+  const ordered = [...new Set([...keys(expected), ...keys(actual)])];
+  for (const key of ordered) {
+    const segment = kind === 'array' ? Number(key) : kind === 'map' ? { mapKey: key } : key;
+    const childPath = [...path, segment];
+    if (!has(actual, key)) {
+      changes.push({ path: formatPath(childPath), kind: 'removed', expected: compactly(get(expected, key)), actual: null });
+    } else if (!has(expected, key)) {
+      changes.push({ path: formatPath(childPath), kind: 'added', expected: null, actual: compactly(get(actual, key)) });
+    } else {
+      walk(get(expected, key), get(actual, key), childPath, changes, seen);
+    }
+  }
+
+  seen.delete(expected);
+}
+
+// Format path segments as an accessor expression: users[3].email
+export function formatPath(segments) {
+  if (segments.length === 0) return '(root)';
+  return segments.map((segment, index) => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    if (typeof segment === 'object') return `.get(${serialize(segment.mapKey, { compact: true })})`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return index === 0 ? segment : `.${segment}`;
+    return `[${JSON.stringify(segment)}]`;
+  }).join('');
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 4: COMPLETE ANALYSIS
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A differential is worth rendering when either side is structured or spans
+// several lines; simple scalars read better as a single Expected/Actual pair.
+export function isDiffable(expected, actual) {
+  const structured = value => typeof value === 'object' && value !== null;
+  const multiline = value => typeof value === 'string' && value.includes('\n');
+  return structured(expected) || structured(actual) || multiline(expected) || multiline(actual);
+}
+
+// Full analysis of expected versus actual state: `{ identical, hunks, changes }`.
+// Strings are compared as raw text; other values through serialize().
+export function computeDiff(expected, actual, options = {}) {
+  const text = value => typeof value === 'string' ? value : serialize(value);
+  const expectedText = text(expected);
+  const actualText = text(actual);
+  const structured = CONTAINERS.includes(typeOf(expected)) && CONTAINERS.includes(typeOf(actual));
+
+  return {
+    identical: expectedText === actualText,
+    hunks: expectedText === actualText ? [] : diffLines(expectedText, actualText, options.context),
+    changes: structured ? diffObjects(expected, actual) : []
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
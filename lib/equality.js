@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN EQUALITY DETERMINATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-005-EQ
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * STRUCTURAL EQUIVALENCE PROCEDURES
+ *
+ * Determines whether two values are equivalent in structure and content.
+ * Covers plain objects, arrays, Maps (including object keys), Sets, Dates,
+ * regular expressions, errors, typed arrays, boxed primitives and circular
+ * references.
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: TYPE CLASSIFICATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Classify a value more precisely than `typeof`: 'null', 'array', 'date',
+// 'regexp', 'map', 'set', 'error', 'promise', 'typedarray' and so on.
+export function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) return 'typedarray';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regexp';
+  if (value instanceof Map) return 'map';
+  if (value instanceof Set) return 'set';
+  if (value instanceof Error) return 'error';
+  if (value instanceof Promise) return 'promise';
+  return typeof value;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: DEEP EQUALITY
+// ──────────────────────────────────────────────────────────────────────────────
+
+export function deepEqual(a, b) {
+  return equal(a, b, new Map());
+}
+
+// `seen` pairs each object on the path being compared, its ancestors, with
+// its counterpart; entries are removed on the way back out, so an object that
+// merely appears twice is compared twice rather than taken for a cycle.
+function equal(a, b, seen) {
+  if (a === b) return true;
+  if (Number.isNaN(a) && Number.isNaN(b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // Circular references are equal when they pair up the same way
+  if (seen.has(a)) return seen.get(a) === b;
+  seen.set(a, b);
+  try {
+    return equalObjects(a, b, seen);
+  } finally {
+    seen.delete(a);
+  }
+}
+
+function equalObjects(a, b, seen) {
+  switch (typeOf(a)) {
+    case 'date':
+      return Object.is(a.getTime(), b.getTime());
+    case 'regexp':
+      return a.source === b.source && a.flags === b.flags;
+    case 'typedarray':
+      return a.length === b.length && a.every((element, index) => Object.is(element, b[index]));
+    case 'map': {
+      // An entry whose key both Maps hold pairs with its namesake
+      if (a.size !== b.size || ![...a.keys()].every(key => !b.has(key) || equal(a.get(key), b.get(key), seen))) return false;
+      const sameEntry = ([keyA, valueA], [keyB, valueB], path) => equal(keyA, keyB, path) && equal(valueA, valueB, path);
+      return equalMembers([...a].filter(([key]) => !b.has(key)), [...b].filter(([key]) => !a.has(key)), sameEntry, seen);
+    }
+    case 'set':
+      return a.size === b.size && equalMembers([...a].filter(value => !b.has(value)), [...b].filter(value => !a.has(value)), equal, seen);
+    case 'error':
+      if (a.name !== b.name || a.message !== b.message) return false;
+      break;
+  }
+
+  // Boxed primitives compare by the value they hold
+  if (a instanceof Number || a instanceof String || a instanceof Boolean) {
+    if (!equal(a.valueOf(), b.valueOf(), seen)) return false;
+  }
+
+  const keysA = Reflect.ownKeys(a).filter(key => Object.prototype.propertyIsEnumerable.call(a, key));
+  const keysB = Reflect.ownKeys(b).filter(key => Object.prototype.propertyIsEnumerable.call(b, key));
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key], seen));
+}
+
+// Pair every member of one collection with a distinct equal member of the
+// other, regardless of order: Set values, or Map entries whose keys may be
+// objects. Each attempt gets its own copy of the path, so a failed one
+// leaves nothing behind.
+function equalMembers(membersA, membersB, same, seen) {
+  const unmatched = [...membersB];
+  return membersA.every(member => {
+    const index = unmatched.findIndex(other => same(member, other, new Map(seen)));
+    if (index === -1) return false;
+    unmatched.splice(index, 1);
+    return true;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,215 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN RESULTS LEDGER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-019-LEDGER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * RESULTS LEDGER
+ *
+ * Keeps the filing of a run, test by test, so that a later run can be
+ * compared against it. Tests are keyed by their stable identity, their
+ * section path and description or explicit id, rather than their positional
+ * number, which shifts whenever a test is added above them. One ledger holds
+ * the filing of every suite that names it, keyed by suite file and name, so
+ * the suites of one runner share it and each is compared with its own.
+ */
+
+import { mkdir, open, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+
+const LEDGER_VERSION = 2;
+const LOCK_INTERVAL = 10;     // Milliseconds between attempts on a ledger another suite is filing
+const LOCK_PATIENCE = 10000;  // A lock held longer was left by a suite stopped mid-filing
+const SLOWER_RATIO = 1.5;    // A test is significantly slower at 1.5 times its previous duration...
+const SLOWER_MARGIN = 5;     // ...and at least this many milliseconds more
+
+const FAILING = ['FAILED', 'TIMEOUT', 'HOOK_FAILED'];
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LEDGER ENTRIES
+// ──────────────────────────────────────────────────────────────────────────────
+
+// List every filed result with its section path: the titles of the section
+// and subsection it was filed under.
+function filedResults(results) {
+  const filed = [];
+  const file = (tests, path) => tests.forEach(test => filed.push({ test, path }));
+
+  file(results.tests, []);
+  results.subsections.forEach(sub => file(sub.tests, [sub.title]));
+  results.sections.forEach(section => {
+    file(section.tests, [section.title]);
+    section.subsections.forEach(sub => file(sub.tests, [section.title, sub.title]));
+  });
+  return filed;
+}
+
+// Ledger entries for a result model, keyed by each result's stable key. A
+// key repeated in the record, as by a hook failing around several tests, is
+// told apart by its occurrence: `… #2`.
+export function ledgerEntries(results) {
+  const occurrences = new Map();
+  return filedResults(results).map(({ test, path }) => {
+    const base = test.key ?? [...path, test.description].join(' › ');
+    const occurrence = (occurrences.get(base) ?? 0) + 1;
+    occurrences.set(base, occurrence);
+    return {
+      key: occurrence === 1 ? base : `${base} #${occurrence}`,
+      id: test.id,
+      path,
+      description: test.description,
+      status: test.status,
+      duration: test.duration
+    };
+  });
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: PERSISTENCE
+// ──────────────────────────────────────────────────────────────────────────────
+
+// The key a suite is filed under: its file, relative to the working
+// directory, and its name
+export function ledgerKey(suite) {
+  return `${suite.file} › ${suite.name}`;
+}
+
+// File a suite's entries in the ledger, keeping the filings of every other
+// suite. The suite's previous entries under the keys in `withheld`, of tests
+// the filters left out of this run, are carried over. Suites running in
+// parallel take turns through a lock file, and the ledger is replaced whole,
+// so a reader never sees it half written.
+export async function saveLedger(file, suite, metadata, entries, withheld = new Set()) {
+  await mkdir(dirname(file), { recursive: true });
+  return exclusively(`${file}.lock`, async () => {
+    const existing = await loadLedger(file);
+    const carried = (existing && ledgerRecord(existing, suite))?.entries.filter(entry => withheld.has(entry.key)) ?? [];
+    const record = {
+      file: suite.file,
+      suite: suite.name,
+      documentId: metadata.documentId,
+      filed: new Date().toISOString(),
+      entries: [...entries, ...carried]
+    };
+    const ledger = {
+      version: LEDGER_VERSION,
+      suites: { ...existing?.suites, [ledgerKey(suite)]: record }
+    };
+    await writeFile(`${file}.tmp`, JSON.stringify(ledger, null, 2) + '\n');
+    await rename(`${file}.tmp`, file);
+    return ledger;
+  });
+}
+
+// Resolves to the ledger, or null when the file does not exist
+export async function loadLedger(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// A suite's own filing in a ledger, or null when it has none. A ledger of
+// the first version holds one suite, matched by name alone.
+export function ledgerRecord(ledger, suite) {
+  if (ledger.suites) return ledger.suites[ledgerKey(suite)] ?? null;
+  return ledger.suite === suite.name ? ledger : null;
+}
+
+async function exclusively(lock, action) {
+  const deadline = Date.now() + LOCK_PATIENCE;
+  for (;;) {
+    try {
+      await (await open(lock, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      if (Date.now() >= deadline) break;
+      await delay(LOCK_INTERVAL);
+    }
+  }
+  try {
+    return await action();
+  } finally {
+    await rm(lock, { force: true });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: VARIANCE
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Compare this run's entries against a suite's previous filing, as found by
+// ledgerRecord(). Entries in each list carry `previous`, the baseline entry,
+// where there is one. Keys in `withheld`, of tests this run filtered out, are
+// not reported as removed.
+export function compareLedgers(baseline, entries, withheld = new Set()) {
+  const previous = new Map(baseline.entries.map(entry => [entry.key, entry]));
+  const current = new Set([...entries.map(entry => entry.key), ...withheld]);
+  const variance = {
+    baseline: { file: baseline.file, documentId: baseline.documentId, filed: baseline.filed },
+    newlyFailing: [],
+    newlyPassing: [],
+    added: [],
+    removed: baseline.entries.filter(entry => !current.has(entry.key)),
+    slower: []
+  };
+
+  for (const entry of entries) {
+    const before = previous.get(entry.key);
+    if (!before) {
+      variance.added.push(entry);
+      continue;
+    }
+    const failing = FAILING.includes(entry.status);
+    const wasFailing = FAILING.includes(before.status);
+    if (failing && !wasFailing) variance.newlyFailing.push({ ...entry, previous: before });
+    if (entry.status === 'PASSED' && wasFailing) variance.newlyPassing.push({ ...entry, previous: before });
+    if (entry.duration >= before.duration * SLOWER_RATIO && entry.duration - before.duration >= SLOWER_MARGIN) {
+      variance.slower.push({ ...entry, previous: before });
+    }
+  }
+
+  return variance;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 4: PRESENTATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// The lists of a variance in reporting order, with their headings
+export const VARIANCE_CATEGORIES = [
+  { list: 'newlyFailing', title: 'Newly Failing' },
+  { list: 'newlyPassing', title: 'Newly Passing' },
+  { list: 'added', title: 'Added' },
+  { list: 'removed', title: 'Removed' },
+  { list: 'slower', title: 'Significantly Slower' }
+];
+
+// True when a variance lists nothing at all
+export function isUnchanged(variance) {
+  return VARIANCE_CATEGORIES.every(({ list }) => variance[list].length === 0);
+}
+
+// The particulars of an entry in one of the variance lists
+export function describeVariance(list, entry) {
+  switch (list) {
+    case 'newlyFailing':
+    case 'newlyPassing':
+      return `${entry.status}, was ${entry.previous.status}`;
+    case 'slower': {
+      const increase = entry.previous.duration > 0 ? ` (+${Math.round((entry.duration / entry.previous.duration - 1) * 100)}%)` : '';
+      return `${entry.previous.duration.toFixed(2)}ms → ${entry.duration.toFixed(2)}ms${increase}`;
+    }
+    default:
+      return entry.status;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,87 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PARAMETERIZED TESTS
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-023-PARAM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * PARAMETERIZED TESTS
+ *
+ * Support for declaring one test per row of a table. Descriptions are filled
+ * from each row: an array row by printf-style placeholders in order, an
+ * object row by `$name` placeholders. The table itself may be entered into
+ * the document ahead of the tests it produces.
+ */
+
+import { serialize } from './diff.js';
+
+const PRINTF_PATTERN = /%[sdifjoOp#%]/g;
+const NAMED_PATTERN = /\$(#|[A-Za-z_$][\w$]*(?:\.[\w$]+)*)/g;
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: DESCRIPTIONS
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A value as it appears in a description or a table cell: strings as they
+// are, anything else in compact serialized form
+export function display(value) {
+  return typeof value === 'string' ? value : serialize(value, { compact: true });
+}
+
+function printf(template, values, index) {
+  let next = 0;
+  return template.replace(PRINTF_PATTERN, placeholder => {
+    if (placeholder === '%%') return '%';
+    if (placeholder === '%#') return String(index);
+    if (next >= values.length) return placeholder;
+    const value = values[next++];
+    switch (placeholder) {
+      case '%d':
+      case '%i': return String(Math.trunc(Number(value)));
+      case '%f': return String(Number(value));
+      case '%s': return display(value);
+      default: return serialize(value, { compact: true });
+    }
+  });
+}
+
+function named(template, row, index) {
+  return template.replace(NAMED_PATTERN, (placeholder, path) => {
+    if (path === '#') return String(index);
+    const [name, ...rest] = path.split('.');
+    if (!Object.hasOwn(row, name)) return placeholder;
+    return display(rest.reduce((value, key) => value?.[key], row[name]));
+  });
+}
+
+// Fill a description template from a row. Printf-style placeholders are %s,
+// %d, %i, %f, %j, %o, %O, %p, %# (the row index) and %%; `$name` and
+// `$name.path` name the properties of an object row, and `$#` its index.
+export function interpolate(template, row, index) {
+  if (Array.isArray(row)) return printf(template, row, index);
+  if (row !== null && typeof row === 'object') return printf(named(template, row, index), [], index);
+  return printf(template, [row], index);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: DATA TABLES
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Headings and cells for the rows of a table. Object rows are laid out by
+// property; array rows by position, under `columns` if given.
+export function tabulate(rows, columns = null) {
+  const objects = rows.every(row => row !== null && typeof row === 'object' && !Array.isArray(row));
+  if (objects) {
+    const headings = columns ?? [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return { headings, cells: rows.map(row => headings.map(heading => Object.hasOwn(row, heading) ? display(row[heading]) : '')) };
+  }
+
+  const values = rows.map(row => Array.isArray(row) ? row : [row]);
+  const width = Math.max(0, ...values.map(row => row.length));
+  const headings = columns ?? Array.from({ length: width }, (_, i) => `ARG ${i + 1}`);
+  return { headings, cells: values.map(row => headings.map((_, i) => i < row.length ? display(row[i]) : '')) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,262 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PROPERTY VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-024-PROP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * PROPERTY VERIFICATION
+ *
+ * Checks that a predicate holds for many generated cases rather than a few
+ * chosen by hand. Cases are drawn from a seeded generator, so a run can be
+ * replayed exactly from its seed; a case that falsifies the predicate is
+ * shrunk, step by step, to the smallest counterexample that still does.
+ */
+
+import { deepEqual } from './equality.js';
+import { serialize } from './diff.js';
+
+const DEFAULT_RUNS = 100;
+const MAX_SHRINKS = 1000;     // Candidates tried before settling for the counterexample
+const EDGE_CHANCE = 0.1;      // Chance of drawing an edge case such as 0 or a bound
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: SEEDED RANDOM NUMBERS
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A fresh 32-bit seed
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Mulberry32: small, fast and reproducible on every platform
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    integer: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: GENERATORS
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A generator draws a value with generate(random, size), where size grows
+// from near 0 to 1 over the runs so that early cases are small; lists
+// simpler variants of a value with shrink(value), simplest first; and
+// recognizes its own values with contains(value).
+
+function isGenerator(value) {
+  return value !== null && typeof value === 'object' && typeof value.generate === 'function';
+}
+
+// Lengths for strings and arrays: the shortest first, then halves and single
+// removals
+function* shorter(length, minLength) {
+  if (length > minLength) yield minLength;
+  for (let keep = Math.floor(length / 2); keep > minLength; keep = Math.floor(keep / 2)) yield keep;
+}
+
+function length(random, size, minLength, maxLength) {
+  return random.integer(minLength, minLength + Math.round((maxLength - minLength) * size));
+}
+
+export function integer({ min = -1000, max = 1000 } = {}) {
+  const target = Math.min(Math.max(0, min), max); // Shrinks towards 0, or the bound nearest it
+  return {
+    generate(random, size) {
+      if (random.next() < EDGE_CHANCE) return random.pick([target, min, max]);
+      const bound = Math.ceil(Math.max(Math.abs(min), Math.abs(max)) * size);
+      const lo = Math.max(min, -bound);
+      const hi = Math.min(max, bound);
+      return lo <= hi ? random.integer(lo, hi) : random.integer(min, max);
+    },
+    *shrink(value) {
+      if (value === target) return;
+      yield target;
+      let distance = value - target;
+      while (Math.abs(distance) > 1) {
+        distance = Math.trunc(distance / 2);
+        yield value - distance;
+      }
+    },
+    contains: value => Number.isInteger(value) && value >= min && value <= max
+  };
+}
+
+export function string({ minLength = 0, maxLength = 20, chars = PRINTABLE } = {}) {
+  const simplest = chars[0];
+  return {
+    generate(random, size) {
+      return Array.from({ length: length(random, size, minLength, maxLength) }, () => random.pick(chars)).join('');
+    },
+    *shrink(value) {
+      for (const keep of shorter(value.length, minLength)) yield value.slice(0, keep);
+      if (value.length > minLength) {
+        for (let i = 0; i < value.length; i++) yield value.slice(0, i) + value.slice(i + 1);
+      }
+      for (let i = 0; i < value.length; i++) {
+        if (value[i] !== simplest) yield value.slice(0, i) + simplest + value.slice(i + 1);
+      }
+    },
+    contains: value => typeof value === 'string' && value.length >= minLength && value.length <= maxLength
+  };
+}
+
+export function array(element, { minLength = 0, maxLength = 20 } = {}) {
+  return {
+    generate(random, size) {
+      return Array.from({ length: length(random, size, minLength, maxLength) }, () => element.generate(random, size));
+    },
+    *shrink(value) {
+      for (const keep of shorter(value.length, minLength)) yield value.slice(0, keep);
+      if (value.length > minLength) {
+        for (let i = 0; i < value.length; i++) yield [...value.slice(0, i), ...value.slice(i + 1)];
+      }
+      for (let i = 0; i < value.length; i++) {
+        for (const smaller of element.shrink(value[i])) yield [...value.slice(0, i), smaller, ...value.slice(i + 1)];
+      }
+    },
+    contains: value => Array.isArray(value) && value.length >= minLength && value.length <= maxLength && value.every(item => element.contains(item))
+  };
+}
+
+// An object with a generated value for each property of the shape
+export function object(shape) {
+  const keys = Object.keys(shape);
+  return {
+    generate(random, size) {
+      return Object.fromEntries(keys.map(key => [key, shape[key].generate(random, size)]));
+    },
+    *shrink(value) {
+      for (const key of keys) {
+        for (const smaller of shape[key].shrink(value[key])) yield { ...value, [key]: smaller };
+      }
+    },
+    contains: value => value !== null && typeof value === 'object' && keys.every(key => shape[key].contains(value[key]))
+  };
+}
+
+// One of the alternatives, each a generator or a constant value. Shrinks
+// towards the alternatives listed first.
+export function oneOf(...alternatives) {
+  const constants = alternatives.filter(alternative => !isGenerator(alternative));
+  const sources = alternatives.filter(isGenerator);
+  return {
+    generate(random, size) {
+      const alternative = random.pick(alternatives);
+      return isGenerator(alternative) ? alternative.generate(random, size) : alternative;
+    },
+    *shrink(value) {
+      const position = constants.findIndex(constant => deepEqual(constant, value));
+      yield* constants.slice(0, position === -1 ? constants.length : position);
+      for (const source of sources) {
+        if (source.contains(value)) yield* source.shrink(value);
+      }
+    },
+    contains: value => constants.some(constant => deepEqual(constant, value)) || sources.some(source => source.contains(value))
+  };
+}
+
+// A fixed-length list of values, one from each generator
+function tuple(elements) {
+  const shape = object(Object.fromEntries(elements.map((element, i) => [i, element])));
+  return {
+    generate: (random, size) => Object.values(shape.generate(random, size)),
+    *shrink(value) {
+      for (const smaller of shape.shrink({ ...value })) yield Object.values(smaller);
+    },
+    contains: value => Array.isArray(value) && shape.contains({ ...value })
+  };
+}
+
+export const generators = { integer, string, array, object, oneOf };
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: VERIFICATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// A predicate is falsified by returning false, by a result with `passed:
+// false`, or by throwing
+async function falsifies(predicate, args) {
+  try {
+    const outcome = await predicate(...args);
+    const failed = outcome === false || (outcome !== null && typeof outcome === 'object' && outcome.passed === false);
+    return failed ? { error: null } : null;
+  } catch (error) {
+    return { error };
+  }
+}
+
+// Check a predicate against generated cases. `generators` is an array of
+// generators, whose values are passed as separate arguments, a single
+// generator, or a shape of generators, whose object is passed whole.
+// Resolves to `{ passed, runs, seed }` and, once falsified, `original`,
+// `counterexample`, `shrinks` and the `error` raised, if any.
+export async function checkProperty(generators, predicate, options = {}) {
+  const { runs = DEFAULT_RUNS, seed = randomSeed(), maxShrinks = MAX_SHRINKS } = options;
+  const spread = Array.isArray(generators);
+  const generator = spread ? tuple(generators) : isGenerator(generators) ? generators : object(generators);
+  const argumentsOf = value => spread ? value : [value];
+  const random = createRandom(seed);
+
+  for (let run = 1; run <= runs; run++) {
+    const original = generator.generate(random, run / runs);
+    let failure = await falsifies(predicate, argumentsOf(original));
+    if (!failure) continue;
+
+    // Take the first simpler candidate that still fails, until none does
+    let counterexample = original;
+    let shrinks = 0;
+    let attempts = 0;
+    search: while (attempts < maxShrinks) {
+      for (const candidate of generator.shrink(counterexample)) {
+        if (++attempts > maxShrinks) break search;
+        const candidateFailure = await falsifies(predicate, argumentsOf(candidate));
+        if (candidateFailure) {
+          counterexample = candidate;
+          failure = candidateFailure;
+          shrinks++;
+          continue search;
+        }
+      }
+      break;
+    }
+
+    return { passed: false, runs: run, seed, original, counterexample, shrinks, error: failure.error };
+  }
+
+  return { passed: true, runs, seed };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 4: PRESENTATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// The particulars of a falsified property, as [label, text] pairs. Copies
+// transmitted to the runner carry their cases already `serialized`.
+export function propertyParticulars(property) {
+  const text = value => property.serialized ? value : serialize(value, { compact: true });
+  const particulars = [
+    ['Counterexample', text(property.counterexample)],
+    ['Seed', `${property.seed} (replay with --seed=${property.seed})`]
+  ];
+  if (property.shrinks > 0) {
+    particulars.push(['Shrunk from', `${text(property.original)} in ${property.shrinks} step(s)`]);
+  }
+  return particulars;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,413 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN SUITE RUNNER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-008-RUN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * SUITE RUNNER
+ *
+ * Locates suite files, executes each in a child process or, when a number of
+ * parallel jobs is requested, in a pool of worker threads, and consolidates
+ * the results each suite files over its message channel into a single report.
+ */
+
+import { fork } from 'node:child_process';
+import { once } from 'node:events';
+import { appendFileSync, mkdirSync } from 'node:fs';
+import { readdir, stat } from 'node:fs/promises';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { Worker } from 'node:worker_threads';
+import { RUNNER_MESSAGE, RUNNER_OUTPUT, RUNNER_PROGRESS, TEST_STATUS } from '../index.js';
+
+const DEFAULT_PATTERN = '**/*.test.js';
+const DEFAULT_FILE_TIMEOUT = 120000; // Milliseconds per suite file; 0 or Infinity disables the limit
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: SUITE DISCOVERY
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Translate a glob into a regular expression over forward-slash paths.
+// Supports `**`, `*` and `?`.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (IGNORED_DIRECTORIES.has(entry.name)) continue;
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walk(path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// Resolve file paths, directories and glob patterns to a sorted list of
+// absolute suite file paths. Directories are searched for `*.test.js`.
+export async function discoverSuites(patterns, cwd = process.cwd()) {
+  const found = new Set();
+  let everything = null;
+
+  for (const pattern of patterns.length > 0 ? patterns : [DEFAULT_PATTERN]) {
+    const target = resolve(cwd, pattern);
+    const info = await stat(target).catch(() => null);
+
+    if (info?.isFile()) {
+      found.add(target);
+      continue;
+    }
+
+    const glob = info?.isDirectory()
+      ? `${relative(cwd, target).split(sep).join('/')}/${DEFAULT_PATTERN}`.replace(/^\//, '')
+      : pattern.replace(/^\.\//, '');
+    const matcher = globToRegExp(glob);
+    everything ??= await walk(cwd);
+    for (const file of everything) {
+      if (matcher.test(relative(cwd, file).split(sep).join('/'))) found.add(file);
+    }
+  }
+
+  return [...found].sort();
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: SUITE EXECUTION
+// ──────────────────────────────────────────────────────────────────────────────
+
+const FAILING = [TEST_STATUS.FAILED, TEST_STATUS.TIMEOUT, TEST_STATUS.HOOK_FAILED];
+
+// Rebuild the record of a suite stopped before it filed its results from the
+// progress it transmitted: every result filed so far and, charged with the
+// stop, the test that was running, if any.
+function recover(name, progress, charge) {
+  const results = { tests: [], subsections: [], sections: [] };
+  const place = ({ section, subsection }) => {
+    let scope = results;
+    if (section) {
+      scope = results.sections.find(entry => entry.number === section.number)
+        ?? results.sections[results.sections.push({ ...section, skipped: false, tests: [], subsections: [] }) - 1];
+    }
+    if (subsection) {
+      scope = scope.subsections.find(entry => entry.id === subsection.id)
+        ?? scope.subsections[scope.subsections.push({ ...subsection, tests: [] }) - 1];
+    }
+    return scope.tests;
+  };
+
+  let running = null;
+  for (const entry of progress) {
+    if (entry.running) {
+      running = entry;
+    } else {
+      place(entry.location).push(entry.result);
+      if (entry.result.key === running?.running.key) running = null;
+    }
+  }
+  if (running) {
+    place(running.location).push({ ...running.running, passed: false, actual: null, expected: null, duration: 0, slow: false, ...charge });
+  }
+
+  const filed = [
+    ...results.tests,
+    ...results.subsections.flatMap(sub => sub.tests),
+    ...results.sections.flatMap(section => [...section.tests, ...section.subsections.flatMap(sub => sub.tests)])
+  ];
+  const count = (...statuses) => filed.filter(result => statuses.includes(result.status)).length;
+  const passed = count(TEST_STATUS.PASSED);
+  const failed = count(...FAILING);
+  const stats = {
+    total: filed.length,
+    passed,
+    failed,
+    timedOut: count(TEST_STATUS.TIMEOUT),
+    hookFailures: count(TEST_STATUS.HOOK_FAILED),
+    skipped: count(TEST_STATUS.SKIPPED),
+    todo: count(TEST_STATUS.TODO),
+    slow: filed.filter(result => result.slow).length,
+    withheld: 0,
+    passRate: passed + failed > 0 ? ((passed / (passed + failed)) * 100).toFixed(2) : 0
+  };
+
+  return {
+    type: RUNNER_MESSAGE,
+    name,
+    metadata: progress[0].metadata,
+    results,
+    stats,
+    slowest: filed
+      .filter(result => result.status !== TEST_STATUS.HOOK_FAILED && result.duration > 0)
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST_LISTED)
+      .map(({ id, description, duration, slow }) => ({ id, description, duration, slow })),
+    failures: filed.filter(result => FAILING.includes(result.status)).map(({ id, description, status, message }) => ({ id, description, status, message })),
+    charged: Boolean(running)
+  };
+}
+
+// Judge a finished suite file from the results it filed and how it ended. A
+// suite that stopped before filing its results, crashed or outliving the
+// file's time `allotment`, is recovered from its progress and the test it was
+// running charged with the stop; a file stopped outside any test fails whole.
+function verdict(file, suites, progress, exitCode, termination, allotment = null) {
+  const charge = allotment
+    ? { status: TEST_STATUS.TIMEOUT, message: `Exceeded file time allotment of ${allotment}ms` }
+    : { status: TEST_STATUS.FAILED, message: `Suite terminated while the test was running (${termination})` };
+  const stopped = [...new Set(progress.map(entry => entry.name))].filter(name => !suites.some(suite => suite.name === name));
+  const recovered = stopped.map(name => recover(name, progress.filter(entry => entry.name === name), charge));
+  const filed = [...suites, ...recovered];
+  const charged = recovered.some(suite => suite.charged);
+
+  const clean = filed.every(suite => suite.stats.failed === 0);
+  let error = null;
+  if (allotment && !charged) {
+    error = charge.message;
+  } else if (filed.length === 0) {
+    error = `Suite terminated without filing results (${termination})`;
+  } else if (exitCode !== 0 && clean) {
+    error = `Suite exited with code ${exitCode} after filing no failures`;
+  }
+  return {
+    file,
+    suites: filed,
+    exitCode,
+    passed: exitCode === 0 && clean && !error && !allotment,
+    error,
+    ...(allotment && !charged && { status: TEST_STATUS.TIMEOUT })
+  };
+}
+
+// A suite file that outlives its allotment, as one caught in a synchronous
+// loop the suite's own time allotments cannot interrupt, is stopped by the
+// runner. Returns a function that cancels the deadline.
+function allot(fileTimeout, stop) {
+  if (!Number.isFinite(fileTimeout) || fileTimeout <= 0) return () => {};
+  const timer = setTimeout(stop, fileTimeout);
+  return () => clearTimeout(timer);
+}
+
+// Execute one suite file in a child process with inherited output.
+export function runSuite(file, args = [], fileTimeout = DEFAULT_FILE_TIMEOUT) {
+  return new Promise(resolve => {
+    const suites = [];
+    const progress = [];
+    let expired = false;
+    const child = fork(file, args, {
+      env: { ...process.env, POLITICIAN_RUNNER: '1' },
+      stdio: 'inherit'
+    });
+    const cancel = allot(fileTimeout, () => {
+      expired = true;
+      child.kill('SIGKILL');
+    });
+
+    child.on('message', message => {
+      if (message?.type === RUNNER_MESSAGE) suites.push(message);
+      if (message?.type === RUNNER_PROGRESS) progress.push(message);
+    });
+
+    child.on('error', error => {
+      cancel();
+      resolve({ file, suites, exitCode: null, passed: false, error: error.message });
+    });
+
+    child.on('exit', (code, signal) => {
+      cancel();
+      resolve(verdict(file, suites, progress, code, signal ? `signal ${signal}` : `exit code ${code}`, expired ? fileTimeout : null));
+    });
+  });
+}
+
+// Execute one suite file in a worker thread. Its output is buffered and
+// returned with the outcome, console output as `output` and output bound for
+// files, relayed by the suite, as `written`; a `process.exit()` inside the
+// suite ends only the worker and becomes the suite's exit code.
+export async function runSuiteInWorker(file, args = [], fileTimeout = DEFAULT_FILE_TIMEOUT) {
+  const suites = [];
+  const progress = [];
+  const output = [];
+  const written = [];
+  let failure = null;
+  let expired = false;
+
+  const worker = new Worker(file, {
+    argv: args,
+    workerData: { politicianRunner: true },
+    stdout: true,
+    stderr: true
+  });
+
+  worker.stdout.on('data', chunk => output.push(chunk));
+  worker.stderr.on('data', chunk => output.push(chunk));
+  worker.on('message', message => {
+    if (message?.type === RUNNER_MESSAGE) suites.push(message);
+    if (message?.type === RUNNER_OUTPUT) written.push(message);
+    if (message?.type === RUNNER_PROGRESS) progress.push(message);
+  });
+  worker.on('error', error => { failure = error; });
+  const cancel = allot(fileTimeout, () => {
+    expired = true;
+    worker.terminate();
+  });
+
+  // events.once() would reject on the worker's 'error' event; wait for 'exit'
+  const exited = new Promise(resolve => worker.on('exit', resolve));
+  const [code] = await Promise.all([exited, once(worker.stdout, 'end'), once(worker.stderr, 'end')]);
+  cancel();
+
+  const termination = failure ? `uncaught ${failure.name}: ${failure.message}` : `exit code ${code}`;
+  const outcome = verdict(file, suites, progress, code, termination, expired ? fileTimeout : null);
+  return { ...outcome, output: Buffer.concat(output), written };
+}
+
+// Write the file output a suite relayed, each file's in one piece
+function writeRelayed(written) {
+  const files = new Map();
+  written.forEach(({ path, text }) => files.set(path, (files.get(path) ?? '') + text));
+  files.forEach((text, path) => {
+    mkdirSync(dirname(path), { recursive: true });
+    appendFileSync(path, text);
+  });
+}
+
+// Run files in a pool of worker threads, at most `jobs` at a time. Each
+// file's output, to the console and to files, is written in one piece, in
+// file order, as soon as every file before it has been written.
+async function runParallel(files, args, jobs, fileTimeout) {
+  const outcomes = new Array(files.length);
+  let next = 0;
+  let flushed = 0;
+
+  const flush = () => {
+    while (flushed < files.length && outcomes[flushed]) {
+      const { output, written } = outcomes[flushed++];
+      process.stdout.write(output);
+      writeRelayed(written);
+    }
+  };
+
+  const lane = async () => {
+    while (next < files.length) {
+      const index = next++;
+      outcomes[index] = await runSuiteInWorker(files[index], args, fileTimeout);
+      flush();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(jobs, files.length) }, lane));
+  return outcomes;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: CONSOLIDATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+const COUNTED = ['total', 'passed', 'failed', 'timedOut', 'hookFailures', 'skipped', 'todo', 'slow', 'withheld'];
+const SLOWEST_LISTED = 10;
+
+// Sum the statistics of every suite filed across all files
+export function consolidate(outcomes, duration) {
+  const stats = Object.fromEntries(COUNTED.map(key => [key, 0]));
+  const failures = [];
+  const slowest = [];
+
+  for (const outcome of outcomes) {
+    const name = relative(process.cwd(), outcome.file);
+    for (const suite of outcome.suites) {
+      COUNTED.forEach(key => { stats[key] += suite.stats[key] ?? 0; });
+      suite.failures.forEach(failure => failures.push({ ...failure, id: `${name} ${failure.id}` }));
+      (suite.slowest ?? []).forEach(entry => slowest.push({ ...entry, id: `${name} ${entry.id}` }));
+    }
+    if (outcome.error) {
+      stats.total++;
+      stats.failed++;
+      if (outcome.status === TEST_STATUS.TIMEOUT) stats.timedOut++;
+      failures.push({ id: name, description: 'Suite file', status: outcome.status ?? TEST_STATUS.FAILED, message: outcome.error });
+    }
+  }
+
+  const executed = stats.passed + stats.failed;
+  stats.passRate = executed > 0 ? ((stats.passed / executed) * 100).toFixed(2) : 0;
+  stats.duration = duration;
+  slowest.sort((a, b) => b.duration - a.duration).splice(SLOWEST_LISTED);
+
+  return { stats, failures, slowest };
+}
+
+// Execute every file. Without `jobs`, files run one at a time in child
+// processes; with it, in parallel worker threads. Each file is stopped once
+// it has run for `fileTimeout` milliseconds. Resolves to the outcomes.
+export async function executeSuites(files, { args = [], jobs = null, fileTimeout = DEFAULT_FILE_TIMEOUT } = {}) {
+  if (jobs) return runParallel(files, args, jobs, fileTimeout);
+  const outcomes = [];
+  for (const file of files) {
+    outcomes.push(await runSuite(file, args, fileTimeout));
+  }
+  return outcomes;
+}
+
+// File the consolidated report of a set of outcomes. Returns the report
+// document: `{ files, suites, stats, slowest, failures, passed }`, where
+// `suites` holds the result model each suite transmitted, under its file.
+export function reportOutcomes(outcomes, duration, reporter) {
+  const { stats, failures, slowest } = consolidate(outcomes, duration);
+  const suites = outcomes.flatMap(outcome => outcome.suites.map(suite => ({
+    file: relative(process.cwd(), outcome.file),
+    suite: suite.name,
+    metadata: suite.metadata,
+    ...suite.results,
+    stats: suite.stats
+  })));
+
+  const entries = outcomes.map(outcome => ({
+    file: relative(process.cwd(), outcome.file),
+    passed: outcome.passed,
+    suites: outcome.suites.length,
+    total: outcome.suites.reduce((sum, suite) => sum + suite.stats.total, 0),
+    failed: outcome.suites.reduce((sum, suite) => sum + suite.stats.failed, 0),
+    error: outcome.error
+  }));
+  const passed = outcomes.every(outcome => outcome.passed);
+  const document = { files: entries, suites, stats, slowest, failures, passed };
+
+  reporter.suiteRegistry(entries);
+  reporter.summary(stats);
+  if (slowest.length > 0) reporter.slowestOperations(slowest);
+  reporter.failureDetails(failures);
+  reporter.report(document);
+
+  return document;
+}
+
+// Run every file and file the consolidated report. Resolves to true when
+// every file passed.
+export async function runSuites(files, { args = [], reporter, jobs = null, fileTimeout }) {
+  const startTime = Date.now();
+  const outcomes = await executeSuites(files, { args, jobs, fileTimeout });
+  return reportOutcomes(outcomes, Date.now() - startTime, reporter).passed;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN OUTPUT SINKS
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-015-SINK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * OUTPUT SINKS
+ *
+ * Destinations for reporter output: a writable stream such as standard
+ * output, a file, or an in-memory buffer for programmatic use. Every sink
+ * offers write(text) and close(); close() resolves once everything written
+ * has been flushed, so the process may exit without losing the record.
+ */
+
+import { closeSync, createWriteStream, mkdirSync, openSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: SINKS
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Writes to a stream that belongs to someone else: it is flushed on close,
+// never ended. Like the console, it stops writing once the stream fails, as
+// when a reader such as `| head` closes the pipe early.
+export class StreamSink {
+  constructor(stream) {
+    this.stream = stream;
+    this.failed = false;
+    stream.on('error', () => { this.failed = true; });
+  }
+
+  write(text) {
+    if (!this.failed) this.stream.write(text);
+  }
+
+  close() {
+    if (this.failed) return Promise.resolve();
+    return new Promise(resolve => this.stream.write('', () => resolve()));
+  }
+}
+
+// Writes to a file, replaced on construction unless `options.append` is set.
+// The file is truncated synchronously, before anything else such as a suite
+// under the runner adds to it, and then always written at its end: a
+// descriptor opened for writing keeps its own offset and would overwrite
+// whatever other writers, other suites or another format sharing the path,
+// had added in the meantime.
+export class FileSink extends StreamSink {
+  constructor(path, options = {}) {
+    mkdirSync(dirname(path), { recursive: true });
+    if (!options.append) closeSync(openSync(path, 'w'));
+    const fd = openSync(path, 'a');
+    super(createWriteStream(null, { fd }));
+    this.path = path;
+    this.closed = null;
+  }
+
+  close() {
+    this.closed ??= new Promise(resolve => this.stream.end(() => resolve()));
+    return this.closed;
+  }
+}
+
+// Hands output bound for a file to `relay(path, text)` rather than writing
+// it, as in a parallel worker, whose runner writes each suite's output in
+// one piece and in file order so that suites sharing a file never interleave
+export class RelaySink {
+  constructor(path, relay) {
+    this.path = path;
+    this.relay = relay;
+  }
+
+  write(text) {
+    this.relay(this.path, text);
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+// Collects output in memory; read it back with text()
+export class BufferSink {
+  constructor() {
+    this.chunks = [];
+  }
+
+  write(text) {
+    this.chunks.push(text);
+  }
+
+  text() {
+    return this.chunks.join('');
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: SINK RESOLUTION
+// ──────────────────────────────────────────────────────────────────────────────
+
+let standardOutput = null; // Shared by every reporter writing to stdout
+
+// Resolve a sink option: a sink, a file path, a writable stream, or nothing
+// for standard output. With `options.relay`, a file path is relayed rather
+// than opened.
+export function createSink(target, options = {}) {
+  if (target instanceof StreamSink || target instanceof BufferSink || target instanceof RelaySink) return target;
+  if (typeof target === 'string') return options.relay ? new RelaySink(target, options.relay) : new FileSink(target, options);
+  if (typeof target?.write === 'function') return new StreamSink(target);
+  standardOutput ??= new StreamSink(process.stdout);
+  return standardOutput;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
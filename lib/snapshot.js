@@ -0,0 +1,141 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN SNAPSHOT REGISTRY
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-007-SNAP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * SNAPSHOT REGISTRY
+ *
+ * Maintains the record of approved output for a suite file. Snapshots are
+ * kept as serialized text in a JSON file beside the suite, compared on each
+ * run, and rewritten only when new entries appear or an update is ordered.
+ * Every suite in the file keeps its records under its own name, so suites
+ * sharing the file neither overwrite nor obsolete one another's.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { serialize } from './diff.js';
+
+export const SNAPSHOT_STATUS = {
+  MATCHED: 'MATCHED',
+  MISMATCHED: 'MISMATCHED',
+  WRITTEN: 'WRITTEN',      // No previous record; recorded for the first time
+  UPDATED: 'UPDATED'       // Previous record replaced in update mode
+};
+
+// Writes in progress per file; suites of one file take turns
+const turns = new Map();
+
+async function readRegistry(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return {};
+  }
+}
+
+// A file of the first version held the records of one suite, unkeyed
+function unkeyed(registry) {
+  const values = Object.values(registry);
+  return values.length > 0 && values.every(value => typeof value === 'string');
+}
+
+export class SnapshotRegistry {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.suite = options.suite ?? '';
+    this.update = options.update ?? false;
+    this.records = null;     // Loaded lazily on first check
+    this.visited = new Set();
+    this.claimed = new Set();  // Names a declared check will look up, whether or not it runs
+    this.written = [];
+    this.updated = [];
+    this.dirty = false;
+  }
+
+  async load() {
+    if (this.records) return this.records;
+    const registry = await readRegistry(this.file);
+    this.records = { ...(unkeyed(registry) ? registry : registry[this.suite]) };
+    return this.records;
+  }
+
+  // Compare a value against its stored record. Strings are stored verbatim,
+  // anything else through serialize().
+  async check(name, value) {
+    const records = await this.load();
+    const actual = typeof value === 'string' ? value : serialize(value);
+    this.visited.add(name);
+
+    if (!Object.prototype.hasOwnProperty.call(records, name)) {
+      records[name] = actual;
+      this.written.push(name);
+      this.dirty = true;
+      return { status: SNAPSHOT_STATUS.WRITTEN, expected: actual, actual };
+    }
+
+    const expected = records[name];
+    if (expected === actual) {
+      return { status: SNAPSHOT_STATUS.MATCHED, expected, actual };
+    }
+    if (this.update) {
+      records[name] = actual;
+      this.updated.push(name);
+      this.dirty = true;
+      return { status: SNAPSHOT_STATUS.UPDATED, expected, actual };
+    }
+    return { status: SNAPSHOT_STATUS.MISMATCHED, expected, actual };
+  }
+
+  // Reserve a record for a check declared in the suite, which may be
+  // skipped and never look it up
+  claim(name) {
+    this.claimed.add(name);
+  }
+
+  // Records present in the file that no check looked up or claimed
+  obsolete() {
+    return Object.keys(this.records ?? {}).filter(name => !this.visited.has(name) && !this.claimed.has(name));
+  }
+
+  // Write pending changes. In update mode obsolete records are removed.
+  // With `prune: false`, as when the filters withheld some tests, unchecked
+  // records are neither reported nor removed. Returns the registry's report
+  // for the summary.
+  async save({ prune = true } = {}) {
+    const obsolete = prune ? this.obsolete() : [];
+    const removed = this.update ? obsolete : [];
+    removed.forEach(name => delete this.records[name]);
+
+    if (this.dirty || removed.length > 0) {
+      await this._write();
+      this.dirty = false;
+    }
+
+    return {
+      file: this.file,
+      written: this.written,
+      updated: this.updated,
+      obsolete: this.update ? [] : obsolete,
+      removed
+    };
+  }
+
+  // Replace this suite's records in the file as it stands, keeping every
+  // other suite's; a file of the first version is taken over whole
+  _write() {
+    const turn = (turns.get(this.file) ?? Promise.resolve()).then(async () => {
+      const registry = await readRegistry(this.file);
+      const suites = unkeyed(registry) ? {} : registry;
+      await writeFile(this.file, JSON.stringify({ ...suites, [this.suite]: this.records }, null, 2) + '\n');
+    });
+    turns.set(this.file, turn.catch(() => {}));
+    return turn;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,251 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN WATCH SERVICE
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-021-WATCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * WATCH SERVICE
+ *
+ * Keeps suites under observation while they are being worked on. Each suite
+ * file and every local module it imports, directly or not, is watched; when
+ * one changes, only the suites that depend on it are executed again, on a
+ * cleared screen, followed by a one-line status report and the keyboard
+ * commands available between runs.
+ */
+
+import { watch } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+import { emitKeypressEvents, createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { discoverSuites, executeSuites, reportOutcomes } from './runner.js';
+
+const DEBOUNCE = 100;   // Milliseconds to gather the events of a single save
+const CLEAR_SCREEN = '\x1b[2J\x1b[3J\x1b[H';
+
+// Specifiers of static imports, re-exports, dynamic imports and require()
+const IMPORT_PATTERN = /\b(?:from|import|require)\s*\(?\s*(['"])([^'"\n]+)\1/g;
+const EXTENSIONS = ['', '.js', '.mjs', '.cjs', `${sep}index.js`];
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: MODULE GRAPH
+// ──────────────────────────────────────────────────────────────────────────────
+
+async function isFile(path) {
+  return (await stat(path).catch(() => null))?.isFile() ?? false;
+}
+
+// Resolve a relative or absolute specifier the way Node.js would find a
+// local module, trying the customary extensions. Packages are not followed.
+async function resolveLocal(specifier, from) {
+  if (specifier.startsWith('file:')) return fileURLToPath(specifier);
+  if (!specifier.startsWith('.') && !specifier.startsWith('/')) return null;
+  const base = resolve(dirname(from), specifier);
+  for (const extension of EXTENSIONS) {
+    if (await isFile(base + extension)) return base + extension;
+  }
+  return null;
+}
+
+// The local modules a file imports. The source is scanned rather than
+// parsed, so an import mentioned in a comment is watched as well, which
+// costs no more than an unnecessary rerun.
+async function localImports(file) {
+  const source = await readFile(file, 'utf8').catch(() => '');
+  const found = new Set();
+  for (const [, , specifier] of source.matchAll(IMPORT_PATTERN)) {
+    const path = await resolveLocal(specifier, file);
+    if (path && !path.includes(`${sep}node_modules${sep}`)) found.add(path);
+  }
+  return [...found];
+}
+
+// Map each suite file to every local module it loads, itself included
+export async function moduleGraph(files) {
+  const imports = new Map();
+  const graph = new Map();
+
+  for (const suite of files) {
+    const loaded = new Set();
+    const pending = [suite];
+    while (pending.length > 0) {
+      const file = pending.pop();
+      if (loaded.has(file)) continue;
+      loaded.add(file);
+      if (!imports.has(file)) imports.set(file, await localImports(file));
+      pending.push(...imports.get(file));
+    }
+    graph.set(suite, loaded);
+  }
+
+  return graph;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: OBSERVATION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Watch the directories that hold the given files, rather than the files
+// themselves, so that editors which save by replacing a file are noticed.
+// Returns a function that ends the observation.
+function watchDirectories(files, onChange) {
+  const directories = new Set([...files].map(file => dirname(file)));
+  const watchers = [...directories].map(directory => {
+    const watcher = watch(directory, (event, name) => {
+      if (name) onChange(join(directory, name.toString()));
+    });
+    watcher.on('error', () => {}); // A directory removed while watched
+    return watcher;
+  });
+  return () => watchers.forEach(watcher => watcher.close());
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 3: WATCH SESSION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Execute the suites, then keep them under observation until the session is
+// ended with `q`. `openReporter` supplies a fresh reporter for each run, so
+// that file destinations hold the latest run only. Between runs:
+//
+//   a / Enter   run every suite again
+//   f           run the suites that failed last time
+//   t           filter tests by description (passed on as --grep=)
+//   q / Ctrl-C  end the session
+export function watchSuites(files, { patterns = [], args = [], jobs = null, fileTimeout, openReporter }) {
+  const session = {
+    files,
+    graph: new Map(),
+    failed: new Set(),
+    filter: null,
+    running: false,
+    queued: new Set(),
+    prompting: false,
+    unwatch: () => {}
+  };
+  const interactive = Boolean(process.stdin.isTTY);
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
+
+  // Rebuild the graph, since a change may add or remove imports, and watch
+  // every directory in it afresh
+  const observe = async () => {
+    session.graph = await moduleGraph(session.files);
+    session.unwatch();
+    session.unwatch = watchDirectories(new Set([...session.graph.values()].flatMap(loaded => [...loaded])), changed);
+  };
+
+  // One line between runs: what ran, how it fared, which files are still
+  // failing from earlier runs, and the commands available
+  const status = (ran, stats) => {
+    const time = new Date().toTimeString().split(' ')[0];
+    const verdict = stats.failed > 0 ? `\x1b[31m${stats.failed} failed\x1b[0m` : '\x1b[32m0 failed\x1b[0m';
+    const failing = session.failed.size > 0 ? ` · \x1b[31m${session.failed.size} file(s) failing\x1b[0m` : '';
+    const filter = session.filter ? ` · filter /${session.filter}/` : '';
+    const commands = interactive ? ' \x1b[2m· [a] all · [f] failures · [t] filter · [q] quit\x1b[0m' : '';
+    process.stdout.write(`\x1b[7m WATCHING \x1b[0m ${time} · ran ${ran} of ${session.files.length} file(s) · ${stats.passed} passed · ${verdict}${failing}${filter}${commands}\n`);
+  };
+
+  const run = async suites => {
+    suites.forEach(file => session.queued.add(file));
+    if (session.running) return;
+    session.running = true;
+
+    while (session.queued.size > 0) {
+      const batch = session.files.filter(file => session.queued.has(file));
+      session.queued.clear();
+      if (batch.length === 0) continue;
+
+      if (process.stdout.isTTY) process.stdout.write(CLEAR_SCREEN);
+      const runArgs = session.filter ? [...args, `--grep=${session.filter}`] : args;
+      const reporter = await openReporter();
+      const started = Date.now();
+      const outcomes = await executeSuites(batch, { args: runArgs, jobs, fileTimeout });
+      const { stats } = reportOutcomes(outcomes, Date.now() - started, reporter);
+      await reporter.close();
+
+      outcomes.forEach(outcome => {
+        if (outcome.passed) session.failed.delete(outcome.file);
+        else session.failed.add(outcome.file);
+      });
+      await observe();
+      status(batch.length, stats);
+    }
+
+    session.running = false;
+  };
+
+  // Gather the events of one save, then run the suites that depend on the
+  // changed files, along with any suite file that has newly appeared
+  let changes = new Set();
+  let timer = null;
+  function changed(file) {
+    changes.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      const paths = [...changes];
+      changes = new Set();
+      const known = new Set(session.files);
+      if (paths.some(path => !known.has(path) && /\.[cm]?js$/.test(path))) {
+        session.files = await discoverSuites(patterns);
+      }
+      const affected = session.files.filter(suite =>
+        !known.has(suite) || paths.some(path => session.graph.get(suite)?.has(path))
+      );
+      if (affected.length > 0) await run(affected);
+    }, DEBOUNCE);
+  }
+
+  const end = () => {
+    clearTimeout(timer);
+    session.unwatch();
+    if (interactive) {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+    }
+    finish();
+  };
+
+  // Ask for a description filter on a line of its own; an empty answer
+  // clears it
+  const promptFilter = () => {
+    session.prompting = true;
+    process.stdin.setRawMode(false);
+    const prompt = createInterface({ input: process.stdin, output: process.stdout });
+    prompt.question('Filter by description (regular expression, empty to clear): ', answer => {
+      prompt.close();
+      process.stdin.setRawMode(true);
+      process.stdin.resume();
+      session.prompting = false;
+      try {
+        session.filter = answer.trim() ? new RegExp(answer.trim()).source : null;
+      } catch (error) {
+        process.stdout.write(`Filter rejected: ${error.message}\n`);
+        return;
+      }
+      run(session.files);
+    });
+  };
+
+  if (interactive) {
+    emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.on('keypress', (text, key = {}) => {
+      if (session.prompting) return;
+      if (key.name === 'q' || (key.ctrl && key.name === 'c')) return end();
+      if (session.running) return;
+      if (key.name === 'a' || key.name === 'return') run(session.files);
+      else if (key.name === 'f' && session.failed.size > 0) run([...session.failed]);
+      else if (key.name === 'f') process.stdout.write('No failed suite files to run again\n');
+      else if (key.name === 't') promptFilter();
+    });
+  }
+
+  run(session.files);
+  return finished;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
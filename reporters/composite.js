@@ -0,0 +1,39 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN COMPOSITE REPORTER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-014-DIST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * DISTRIBUTION LIST REPORTER
+ *
+ * Files every report with several reporters at once, so that a run may be
+ * watched on the terminal while a markdown record and a JUnit file are
+ * produced. Each call is forwarded to every member, in the order listed.
+ */
+
+import { Reporter } from './superclass.js';
+
+export class CompositeReporter extends Reporter {
+  constructor(reporters = []) {
+    super(reporters[0]?.metadata);
+    this.reporters = reporters;
+  }
+
+  // Resolves once every member has flushed and closed its sink
+  close() {
+    return Promise.all(this.reporters.map(reporter => reporter.close())).then(() => {});
+  }
+}
+
+// Forward every other public reporter method, including output(), to each member
+for (const name of Object.getOwnPropertyNames(Reporter.prototype)) {
+  if (name.startsWith('_') || Object.hasOwn(CompositeReporter.prototype, name)) continue;
+  CompositeReporter.prototype[name] = function (...args) {
+    this.reporters.forEach(reporter => reporter[name](...args));
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
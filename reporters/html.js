@@ -0,0 +1,505 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN HTML REPORTER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-013-HTML
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * HTML DOCUMENT REPORTER
+ *
+ * Composes the report as one self-contained HTML file in the manner of a
+ * typewritten government document: classification banners at the top and
+ * bottom of every page, a table of contents, collapsible particulars for
+ * failures and differentials, and a print stylesheet that starts each section
+ * on a new page. The file, or another sink if one is given, is written when
+ * the results are filed; nothing is printed to standard output.
+ */
+
+import { Reporter } from './superclass.js';
+import { computeDiff, formatHunkHeader, serialize } from '../lib/diff.js';
+import { benchmarkColumns } from '../lib/benchmark.js';
+import { propertyParticulars } from '../lib/property.js';
+import { VARIANCE_CATEGORIES, describeVariance, isUnchanged } from '../lib/ledger.js';
+
+const DEFAULT_FILE = 'report.html';
+
+// Banner colours of the customary classification markings
+const MARKINGS = {
+  'UNCLASSIFIED': '#007a33',
+  'CONFIDENTIAL': '#0033a0',
+  'SECRET': '#c8102e',
+  'TOP SECRET': '#ff8c00'
+};
+
+// Inline stylesheet. On screen the banners are fixed to the window; in print
+// they are page margin boxes, repeated at the top and bottom of every page.
+const stylesheet = (classification, marking) => `
+  :root { --marking: ${marking}; --ink: #1d1b16; --paper: #f6f1e1; --rule: #8a8270; }
+  * { box-sizing: border-box; }
+  html { background: #d9d3c3; }
+  body {
+    margin: 0; padding: 2.5rem 0; color: var(--ink);
+    font: 11pt/1.45 "Courier Prime", "Courier New", Courier, monospace;
+  }
+  main {
+    max-width: 8.5in; margin: 0 auto; padding: 0.75in 0.9in;
+    background: var(--paper); box-shadow: 0 0 0.4rem rgba(0, 0, 0, 0.35);
+  }
+  .banner {
+    position: fixed; left: 0; right: 0; z-index: 1; padding: 0.2rem;
+    background: var(--marking); color: #fff; text-align: center;
+    font-weight: bold; letter-spacing: 0.3em;
+  }
+  .banner.top { top: 0; }
+  .banner.bottom { bottom: 0; }
+  h1, h2, h3 { font-size: 1em; font-weight: bold; text-transform: uppercase; letter-spacing: 0.08em; }
+  h1 { text-align: center; font-size: 1.2em; margin: 0 0 1.5rem; }
+  h2 { border-bottom: 1px solid var(--ink); padding-bottom: 0.2rem; margin-top: 2rem; }
+  h3 { margin-top: 1.5rem; }
+  a { color: inherit; }
+  table.register { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  table.register th, table.register td { border: 1px solid var(--rule); padding: 0.15rem 0.5rem; text-align: left; vertical-align: top; }
+  table.register th { width: 40%; font-weight: normal; text-transform: uppercase; }
+  table.register td.numeric { text-align: right; }
+  table.timing th { width: auto; }
+  table.benchmark caption { text-align: left; font-weight: bold; padding-bottom: 0.2rem; }
+  .slow { color: #8a5a00; font-weight: bold; }
+  .cover { border: 3px double var(--ink); padding: 1rem 1.25rem; margin-bottom: 2rem; }
+  .cover table.register { margin-bottom: 0; }
+  nav.contents ol { list-style: none; padding-left: 0; }
+  nav.contents ol ol { padding-left: 2em; }
+  pre { margin: 0.5rem 0; padding: 0.5rem 0.75rem; border: 1px dashed var(--rule); white-space: pre-wrap; word-break: break-word; font: inherit; }
+  .label { font-weight: bold; margin: 1rem 0 0; }
+  .entry { margin: 0.35rem 0; }
+  .entry .mark { display: inline-block; width: 1.5em; }
+  .entry.failed, .entry.timeout, .entry.hook { color: #8b0000; }
+  .entry.skipped, .entry.todo { color: #5c574b; }
+  .entry .reason { margin-left: 1.5em; }
+  details { margin: 0.35rem 0 0.75rem 1.5em; color: var(--ink); }
+  summary { cursor: pointer; text-transform: uppercase; letter-spacing: 0.05em; }
+  .diff .hunk { color: #5c574b; }
+  .diff del { color: #8b0000; text-decoration: none; }
+  .diff ins { color: #1f5f1f; text-decoration: none; }
+  .notice { margin: 0.5rem 0; }
+  .notice.warn, .notice.error { font-weight: bold; }
+  .stamp {
+    display: inline-block; margin: 1rem 0; padding: 0.3rem 0.8rem;
+    border: 3px solid currentColor; font-weight: bold; letter-spacing: 0.15em; transform: rotate(-2deg);
+  }
+  .stamp.cleared { color: #1f5f1f; }
+  .stamp.alert { color: #8b0000; }
+  .end { margin-top: 3rem; text-align: center; letter-spacing: 0.3em; }
+  @media print {
+    @page {
+      size: letter; margin: 0.9in 0.75in;
+      @top-center { content: ${JSON.stringify(classification)}; color: ${marking}; font: bold 10pt "Courier New", Courier, monospace; letter-spacing: 0.3em; }
+      @bottom-center { content: ${JSON.stringify(classification)}; color: ${marking}; font: bold 10pt "Courier New", Courier, monospace; letter-spacing: 0.3em; }
+    }
+    html, main { background: none; }
+    body { padding: 0; font-size: 10.5pt; }
+    main { max-width: none; padding: 0; box-shadow: none; }
+    .banner { display: none; }
+    nav.contents, section.page, .closing { break-before: page; }
+    .entry, tr, pre { break-inside: avoid; }
+    h2, h3, .label { break-after: avoid; }
+    a { text-decoration: none; }
+  }
+`;
+
+export class HtmlReporter extends Reporter {
+  constructor(metadata = {}, options = {}) {
+    super(metadata, { sink: options.sink ?? options.file ?? DEFAULT_FILE });
+    this.cover = null;
+    this.contents = [];      // Sections and their subsections, for the table of contents
+    this.fragments = [];     // Body markup, in document order
+    this.sectionOpen = false;
+    this.part = null;        // The suite being entered, in the runner's consolidated filing
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 1: DOCUMENT STRUCTURE
+  // ────────────────────────────────────────────────────────────────────────────
+
+  header(testSuiteName) {
+    this.cover = [
+      '<header class="cover">',
+      `  <h1>Operational Test Report</h1>`,
+      '  <table class="register">',
+      this._row('Facility', testSuiteName),
+      this._row('Classification', this.metadata.classification),
+      this._row('Document Control', this.metadata.documentId),
+      this._row('Transmission Date', this.metadata.date),
+      this._row('Timestamp', this.metadata.time),
+      ...(this.metadata.seed !== undefined ? [this._row('Test Order', `${this.metadata.order}, seed ${this.metadata.seed}`)] : []),
+      '  </table>',
+      '</header>'
+    ].join('\n');
+  }
+
+  section(sectionNumber, title) {
+    this._closeSection();
+    const anchor = `${this._anchorPrefix()}section-${sectionNumber}`;
+    (this.part?.subsections ?? this.contents).push({ anchor, heading: `Section ${sectionNumber}: ${title}`, subsections: [] });
+    this.output(`<section class="page" id="${anchor}">`);
+    this.output(`<h2>Section ${this._escape(sectionNumber)}: ${this._escape(title)}</h2>`);
+    this.sectionOpen = true;
+  }
+
+  subsection(sectionNumber, testNumber, title) {
+    const anchor = `${this._anchorPrefix()}section-${sectionNumber}-${testNumber}`;
+    const heading = `${sectionNumber}.${testNumber} ${title}`;
+    const entries = this.part?.subsections ?? this.contents;
+    (entries[entries.length - 1]?.subsections ?? entries).push({ anchor, heading, subsections: [] });
+    this.output(`<h3 id="${anchor}">${this._escape(heading)}</h3>`);
+  }
+
+  code(language, content, label = null) {
+    if (label) this.output(`<p class="label">${this._escape(label)}</p>`);
+    this.output(`<pre class="code language-${this._escape(language)}">${this._escape(content.trim())}</pre>`);
+  }
+
+  dataTable(headings, rows, caption = null) {
+    this.output('<table class="register data">');
+    if (caption) this.output(`  <caption>Data Table: ${this._escape(caption)}</caption>`);
+    this.output(`  <tr>${headings.map(heading => `<th>${this._escape(heading)}</th>`).join('')}</tr>`);
+    rows.forEach(row => this.output(`  <tr>${row.map(cell => `<td>${this._escape(cell)}</td>`).join('')}</tr>`));
+    this.output('</table>');
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 2: TEST RESULTS
+  // ────────────────────────────────────────────────────────────────────────────
+
+  testPassed(testId, description, result = {}) {
+    this._entry('passed', '✓', `TEST ${testId} PASSED`, description, '', result);
+  }
+
+  testFailed(testId, description, result) {
+    this._entry('failed', '✗', `TEST ${testId} FAILED`, description, this._particulars(result), result);
+  }
+
+  testTimedOut(testId, description, result) {
+    this._entry('timeout', '⧗', `TEST ${testId} TIMED OUT`, description, this._particulars(result));
+  }
+
+  hookFailed(hookId, description, result) {
+    this._entry('hook', '⚙', `HOOK ${hookId} FAILED`, description, this._particulars(result));
+  }
+
+  testSkipped(testId, description, result) {
+    this._entry('skipped', '○', `TEST ${testId} SKIPPED`, description, result.message ? this._reason('Reason', result.message) : '');
+  }
+
+  testTodo(testId, description, result) {
+    this._entry('todo', '☐', `TEST ${testId} TODO`, description, result.message ? this._reason('Note', result.message) : '');
+  }
+
+  benchmarkReport(testId, description, statistics) {
+    const columns = benchmarkColumns(statistics);
+    this.output('<table class="register timing benchmark">');
+    this.output(`  <caption>Benchmark ${this._escape(testId)}: ${this._escape(description)}</caption>`);
+    this.output(`  <tr>${columns.map(([heading]) => `<th>${heading}</th>`).join('')}</tr>`);
+    this.output(`  <tr>${columns.map(([, value]) => `<td class="numeric">${this._escape(value)}</td>`).join('')}</tr>`);
+    this.output('</table>');
+    if (!statistics.stable) {
+      this.output('<p class="notice"><em>* Margin of error above target when the measurement allotment ran out.</em></p>');
+    }
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 3: SUMMARY AND REGISTRIES
+  // ────────────────────────────────────────────────────────────────────────────
+
+  summary(stats) {
+    const { total, passed, failed, timedOut = 0, hookFailures = 0, skipped = 0, todo = 0, slow = 0, withheld = 0, passRate, duration } = stats;
+
+    this._closeSection();
+    this.output('<section class="closing" id="mission-status">');
+    this.output('<h2>Mission Status Report</h2>');
+    this.output('<table class="register">');
+    [
+      ['Total Operations', total],
+      ['Successful', passed],
+      ['Failed', failed],
+      ['Timed Out', timedOut],
+      ['Hook Failures', hookFailures],
+      ['Skipped', skipped],
+      ['To Do', todo],
+      ['Slow', slow],
+      ['Withheld', withheld],
+      ['Success Rate', `${passRate}%`],
+      ['Execution Duration', `${duration}ms`]
+    ].forEach(([name, value]) => this.output(this._row(name, value)));
+    this.output('</table>');
+    this.output(failed === 0
+      ? '<p class="stamp cleared">Clearance: All Operations Successful</p>'
+      : `<p class="stamp alert">Alert: ${this._escape(failed)} Operation(s) Failed</p>`);
+    this.sectionOpen = true;
+  }
+
+  slowestOperations(entries) {
+    this.output('<h2>Top 10 Slowest Operations</h2>');
+    this.output('<table class="register timing">');
+    this.output('  <tr><th>Rank</th><th>Test</th><th>Duration</th><th>Description</th></tr>');
+    entries.forEach((entry, index) => {
+      const description = this._escape(entry.description) + (entry.slow ? ' <span class="slow">[SLOW]</span>' : '');
+      this.output(`  <tr><td class="numeric">${index + 1}</td><td>${this._escape(entry.id)}</td><td class="numeric">${this._milliseconds(entry.duration)}</td><td>${description}</td></tr>`);
+    });
+    this.output('</table>');
+  }
+
+  baselineReport(variance) {
+    const { documentId, filed, file } = variance.baseline;
+    this.output('<h2>Variance from Previous Filing</h2>');
+    this.output(`<p>Baseline: <strong>${this._escape(documentId)}</strong> filed ${this._escape(filed)} (${this._escape(file)})</p>`);
+    if (isUnchanged(variance)) {
+      this.output('<p class="stamp cleared">No Variance from Previous Filing</p>');
+      return;
+    }
+    VARIANCE_CATEGORIES.filter(({ list }) => variance[list].length > 0).forEach(({ list, title }) => {
+      this.output(`<h3>${title} (${variance[list].length})</h3>`);
+      variance[list].forEach(entry => {
+        const kind = list === 'newlyFailing' ? ' failed' : '';
+        this.output(`<div class="entry${kind}"><strong>[${this._escape(entry.id)}]</strong> ${this._escape(entry.key)} — ${this._escape(describeVariance(list, entry))}</div>`);
+      });
+    });
+  }
+
+  failureDetails(failures) {
+    if (failures.length === 0) return;
+
+    this.output('<h2>Failed Operations Registry</h2>');
+    failures.forEach(f => {
+      const marker = { TIMEOUT: ' (timeout)', HOOK_FAILED: ' (hook)' }[f.status] ?? '';
+      this.output(`<div class="entry failed"><strong>[${this._escape(f.id)}]</strong> ${this._escape(f.description)}${marker}`);
+      if (f.message) this.output(`  <div class="reason">${this._escape(f.message)}</div>`);
+      this.output('</div>');
+    });
+  }
+
+  suiteRegistry(entries) {
+    this.output('<h2>Consolidated Suite Registry</h2>');
+    this.output('<table class="register">');
+    this.output('  <tr><th>Verdict</th><th>File</th><th>Operations</th><th>Failed</th></tr>');
+    entries.forEach(entry => {
+      this.output(`  <tr><td>${entry.passed ? '✓ PASSED' : '✗ FAILED'}</td><td>${this._escape(entry.file)}</td><td class="numeric">${entry.total}</td><td class="numeric">${entry.failed}</td></tr>`);
+    });
+    this.output('</table>');
+    entries.filter(entry => entry.error).forEach(entry => {
+      this.output(`<div class="entry failed"><strong>${this._escape(entry.file)}</strong>: ${this._escape(entry.error)}</div>`);
+    });
+  }
+
+  snapshotReport(report) {
+    this._closeSection();
+    this.output('<h2>Snapshot Registry</h2>');
+    this.output(`<p>File: ${this._escape(report.file)}</p>`);
+    [['Recorded', report.written], ['Updated', report.updated], ['Removed', report.removed], ['Obsolete', report.obsolete]]
+      .forEach(([action, names]) => names.forEach(name => {
+        this.output(`<div class="entry"><strong>${action}:</strong> ${this._escape(name)}</div>`);
+      }));
+    if (report.obsolete.length > 0) {
+      this.output('<p><em>Obsolete records may be removed with --update-snapshots.</em></p>');
+    }
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 4: DIFFERENTIAL ANALYSIS
+  // ────────────────────────────────────────────────────────────────────────────
+
+  diff(expected, actual, label = 'DIFFERENTIAL ANALYSIS') {
+    this.output(this._variance(computeDiff(expected, actual), label));
+  }
+
+  // Render an analysis as a collapsible block: hunks, then variance by path
+  _variance(analysis, label) {
+    const body = [];
+    if (analysis.identical && analysis.changes.length === 0) {
+      body.push('<p><strong>[NO VARIANCE DETECTED]</strong></p>');
+    }
+    if (analysis.hunks.length > 0) {
+      const lines = analysis.hunks.flatMap(hunk => [
+        `<span class="hunk">${this._escape(formatHunkHeader(hunk))}</span>`,
+        ...hunk.lines.map(({ op, text }) => {
+          const line = this._escape(`${op} ${text}`);
+          return op === '-' ? `<del>${line}</del>` : op === '+' ? `<ins>${line}</ins>` : line;
+        })
+      ]);
+      body.push(`<pre class="diff">${lines.join('\n')}</pre>`);
+    }
+    if (analysis.changes.length > 0) {
+      body.push('<table class="register">');
+      body.push('  <tr><th>Path</th><th>Expected</th><th>Actual</th></tr>');
+      analysis.changes.forEach(({ path, expected, actual }) => {
+        body.push(`  <tr><td>${this._escape(path)}</td><td>${this._escape(expected ?? '(absent)')}</td><td>${this._escape(actual ?? '(absent)')}</td></tr>`);
+      });
+      body.push('</table>');
+    }
+    return [`<details class="variance" open>`, `  <summary>${this._escape(label)}</summary>`, ...body, '</details>'].join('\n');
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 5: LOGGING
+  // ────────────────────────────────────────────────────────────────────────────
+
+  log(...args) {
+    this._notice('log', args.join(' '));
+  }
+
+  info(...args) {
+    this._notice('info', `ℹ ${args.join(' ')}`);
+  }
+
+  warn(...args) {
+    this._notice('warn', `⚠ WARNING: ${args.join(' ')}`);
+  }
+
+  error(...args) {
+    this._notice('error', `✗ ERROR: ${args.join(' ')}`);
+  }
+
+  success(...args) {
+    this._notice('success', `✓ ${args.join(' ')}`);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 6: DOCUMENT TRANSMISSION
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // A suite's document, or the runner's consolidated filing, which carries
+  // the results every suite transmitted
+  report(document) {
+    this._closeSection();
+    if (document.suites) this._fileSuites(document.suites);
+
+    const title = document.suite ?? 'Consolidated Suite Registry';
+    const classification = this.metadata.classification ?? 'UNCLASSIFIED';
+    const marking = MARKINGS[classification.toUpperCase()] ?? MARKINGS.UNCLASSIFIED;
+    const banner = position => `<div class="banner ${position}">${this._escape(classification)}</div>`;
+
+    const html = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${this._escape(`${this.metadata.documentId} — ${title}`)}</title>`,
+      `<style>${stylesheet(classification.replace(/[^\x20-\x7E]/g, ''), marking)}</style>`,
+      '</head>',
+      '<body>',
+      banner('top'),
+      '<main>',
+      this.cover ?? `<header class="cover"><h1>${this._escape(title)}</h1></header>`,
+      this._contents(),
+      ...this.fragments,
+      '<p class="end">═══ END OF DOCUMENT ═══</p>',
+      '</main>',
+      banner('bottom'),
+      '</body>',
+      '</html>'
+    ];
+
+    super.output(html.join('\n'));
+  }
+
+  // Markup is collected for the file rather than printed
+  output(message) {
+    this.fragments.push(message);
+  }
+
+  // Enter each suite as a part of the document, its sections beneath it,
+  // ahead of the registry and status report the runner has already filed
+  _fileSuites(suites) {
+    const closing = this.fragments;
+    this.fragments = [];
+    suites.forEach((suite, index) => {
+      this._closeSection();
+      this.part = { anchor: `part-${index + 1}`, heading: `Part ${index + 1}: ${suite.file} — ${suite.suite}`, subsections: [] };
+      this.contents.push(this.part);
+      this.output(`<section class="page" id="${this.part.anchor}">`);
+      this.output(`<h2>${this._escape(this.part.heading)}</h2>`);
+      this.sectionOpen = true;
+      this._replay(suite);
+    });
+    this._closeSection();
+    this.part = null;
+    this.fragments.push(...closing);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 7: UTILITIES
+  // ────────────────────────────────────────────────────────────────────────────
+
+  _contents() {
+    if (this.contents.length === 0) return '';
+    const list = (entries, indent) => [
+      `${indent}<ol>`,
+      ...entries.flatMap(entry => [
+        `${indent}  <li><a href="#${entry.anchor}">${this._escape(entry.heading)}</a>`,
+        ...(entry.subsections.length > 0 ? list(entry.subsections, `${indent}    `) : []),
+        `${indent}  </li>`
+      ]),
+      `${indent}</ol>`
+    ];
+    return ['<nav class="contents">', '<h2>Table of Contents</h2>', ...list(this.contents, ''), '</nav>'].join('\n');
+  }
+
+  // Anchors within a part are prefixed with the part's own
+  _anchorPrefix() {
+    return this.part ? `${this.part.anchor}-` : '';
+  }
+
+  _closeSection() {
+    if (!this.sectionOpen) return;
+    this.output('</section>');
+    this.sectionOpen = false;
+  }
+
+  _entry(kind, mark, title, description, particulars = '', result = {}) {
+    const slow = result.slow ? ` <span class="slow">[SLOW ${this._milliseconds(result.duration)}]</span>` : '';
+    this.output(`<div class="entry ${kind}"><span class="mark">${mark}</span><strong>${title}</strong>: ${this._escape(description)}${slow}${particulars}</div>`);
+  }
+
+  // Collapsible particulars of a failure: reason, then the differential or
+  // the plain expected and actual values
+  _particulars(result) {
+    const text = value => typeof value === 'string' ? value : serialize(value);
+    const body = [];
+    if (result.message) body.push(`<div>Reason: ${this._escape(result.message)}</div>`);
+    if (result.diff) {
+      body.push(this._variance(result.diff, 'Differential Analysis'));
+    } else if (result.expected !== null && result.expected !== undefined && result.actual !== null && result.actual !== undefined) {
+      body.push(`<pre>Expected: ${this._escape(text(result.expected))}\nActual:   ${this._escape(text(result.actual))}</pre>`);
+    }
+    if (result.property) {
+      body.push(`<pre>${propertyParticulars(result.property).map(([label, value]) => `${label}: ${this._escape(value)}`).join('\n')}</pre>`);
+    }
+    if (body.length === 0) return '';
+    return ['', '<details open>', '  <summary>Particulars</summary>', ...body, '</details>'].join('\n');
+  }
+
+  _reason(name, message) {
+    return `<div class="reason">${name}: ${this._escape(message)}</div>`;
+  }
+
+  _notice(kind, text) {
+    this.output(`<p class="notice ${kind}">${this._escape(text)}</p>`);
+  }
+
+  _row(name, value) {
+    return `  <tr><th>${this._escape(name)}</th><td>${this._escape(value ?? '')}</td></tr>`;
+  }
+
+  _escape(value) {
+    return String(value)
+      .replace(/\x1b\[[0-9;]*m/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN JSON REPORTER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-010-JSON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * MACHINE-READABLE JSON REPORTER
+ *
+ * Suppresses all human-readable output and files the complete result model
+ * as a single JSON document on one line, for dashboards and other automated
+ * consumers. Output from several suites forms a JSON Lines stream.
+ */
+
+import { Reporter } from './superclass.js';
+import { serialize } from '../lib/diff.js';
+import { typeOf } from '../lib/equality.js';
+
+export class JsonReporter extends Reporter {
+  constructor(metadata = {}, options = {}) {
+    super(metadata, options);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 1: DOCUMENT TRANSMISSION
+  // ────────────────────────────────────────────────────────────────────────────
+
+  report(document) {
+    super.output(JSON.stringify(this._toJSON({ ...document, metadata: { ...this.metadata, ...document.metadata } })));
+  }
+
+  // Everything else is human-readable narrative and is not transmitted
+  output(message) {}
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 2: VALUE CONVERSION
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // Convert actual/expected values into JSON-safe form. Plain objects and
+  // arrays are kept as structure; Maps, Sets, Dates and other values that
+  // JSON cannot represent are rendered as text.
+  _toJSON(value, seen = new Set()) {
+    switch (typeOf(value)) {
+      case 'undefined':
+      case 'null':
+      case 'boolean':
+      case 'string':
+        return value ?? null;
+      case 'number':
+        return Number.isFinite(value) ? value : String(value);
+      case 'array':
+      case 'object':
+        if (seen.has(value)) return '[Circular]';
+        if (typeOf(value) === 'object' && value.constructor && value.constructor !== Object) {
+          return serialize(value, { compact: true });
+        }
+        seen.add(value);
+        try {
+          return Array.isArray(value)
+            ? value.map(item => this._toJSON(item, seen))
+            : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._toJSON(item, seen)]));
+        } finally {
+          seen.delete(value);
+        }
+      default:
+        return serialize(value, { compact: true });
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,164 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN JUNIT REPORTER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-011-JUNIT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * JUNIT XML REPORTER
+ *
+ * Files the result model as JUnit XML for continuous integration systems.
+ * Each section becomes a <testsuite> and each test a <testcase>. The XML is
+ * written to a file rather than standard output unless another sink is
+ * given; narrative output is suppressed.
+ */
+
+import { Reporter } from './superclass.js';
+import { serialize } from '../lib/diff.js';
+
+const DEFAULT_FILE = 'junit.xml';
+
+export class JUnitReporter extends Reporter {
+  constructor(metadata = {}, options = {}) {
+    super(metadata, { sink: options.sink ?? options.file ?? DEFAULT_FILE });
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 1: DOCUMENT TRANSMISSION
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // A suite's document, or the runner's consolidated filing, which carries
+  // the results every suite transmitted and is written as one XML document
+  report(document) {
+    const groups = document.suites
+      ? [...document.suites.flatMap(suite => this._groups(suite, `${suite.file} › `)), ...this._abandoned(document.files)]
+      : this._groups(document);
+
+    const totals = this._count(groups.flatMap(group => group.tests));
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this._escape(document.suite ?? 'Consolidated Suite Registry')}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" time="${this._seconds(document.stats.duration)}">`,
+      ...groups.flatMap(group => this._testsuite(group)),
+      '</testsuites>'
+    ];
+
+    super.output(lines.join('\n'));
+  }
+
+  // Narrative output has no place in the XML record
+  output(message) {}
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 2: XML ELEMENTS
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // A suite's results as <testsuite> groups: those filed ahead of the first
+  // section under the suite's name, then one for each section. Every case
+  // is classed under the suite, named by its stable key.
+  _groups(suite, prefix = '') {
+    const classname = `${prefix}${suite.suite}`;
+    return [
+      { name: classname, classname, suite, tests: [...suite.tests, ...suite.subsections.flatMap(sub => sub.tests)] },
+      ...suite.sections.map(section => ({
+        name: `${prefix}${section.number}. ${section.title}`,
+        classname,
+        suite,
+        tests: [...section.tests, ...section.subsections.flatMap(sub => sub.tests)]
+      }))
+    ].filter(group => group.tests.length > 0);
+  }
+
+  // Suite files that filed no results, or overran their allotment, each as
+  // a group of one failed case
+  _abandoned(files) {
+    return files.filter(entry => entry.error).map(entry => ({
+      name: entry.file,
+      classname: entry.file,
+      suite: { suite: entry.file },
+      tests: [{ id: entry.file, description: 'Suite file', status: 'FAILED', message: entry.error, duration: 0 }]
+    }));
+  }
+
+  _testsuite(group) {
+    const counts = this._count(group.tests);
+    const time = group.tests.reduce((sum, test) => sum + (test.duration ?? 0), 0);
+    const metadata = { ...this.metadata, ...group.suite.metadata };
+    const properties = ['classification', 'documentId', 'date', 'time']
+      .filter(name => metadata[name] !== undefined)
+      .map(name => `      <property name="${name}" value="${this._escape(metadata[name])}"/>`);
+
+    return [
+      `  <testsuite name="${this._escape(group.name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${this._seconds(time)}" timestamp="${metadata.date}T${metadata.time}">`,
+      '    <properties>',
+      ...properties,
+      '    </properties>',
+      ...group.tests.flatMap(test => this._testcase(test, group)),
+      '  </testsuite>'
+    ];
+  }
+
+  // A case is named by its stable key, which survives tests being added
+  // around it, as CI systems track history by classname and name; the
+  // positional number is kept as a property
+  _testcase(test, group) {
+    const open = `    <testcase name="${this._escape(test.key ?? test.description)}" classname="${this._escape(group.classname)}" time="${this._seconds(test.duration)}">`;
+    const message = this._escape(test.message ?? '');
+    return [open, '      <properties>', `        <property name="id" value="${this._escape(test.id)}"/>`, '      </properties>', ...this._verdict(test, message), '    </testcase>'];
+  }
+
+  _verdict(test, message) {
+    switch (test.status) {
+      case 'PASSED':
+        return [];
+      case 'SKIPPED':
+        return [`      <skipped message="${message}"/>`];
+      case 'TODO':
+        return [`      <skipped message="${this._escape(`TODO${test.message ? `: ${test.message}` : ''}`)}"/>`];
+      case 'HOOK_FAILED':
+        return [`      <error message="${message}" type="${test.status}"/>`];
+      default:
+        return [`      <failure message="${message}" type="${test.status}">${this._escape(this._particulars(test))}</failure>`];
+    }
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 3: UTILITIES
+  // ────────────────────────────────────────────────────────────────────────────
+
+  _particulars(test) {
+    const text = value => typeof value === 'string' ? value : serialize(value);
+    const lines = [];
+    if (test.expected !== null && test.expected !== undefined) lines.push(`Expected: ${text(test.expected)}`);
+    if (test.actual !== null && test.actual !== undefined) lines.push(`Actual:   ${text(test.actual)}`);
+    return lines.join('\n');
+  }
+
+  _count(tests) {
+    return {
+      tests: tests.length,
+      failures: tests.filter(test => test.status === 'FAILED' || test.status === 'TIMEOUT').length,
+      errors: tests.filter(test => test.status === 'HOOK_FAILED').length,
+      skipped: tests.filter(test => test.status === 'SKIPPED' || test.status === 'TODO').length
+    };
+  }
+
+  _seconds(milliseconds) {
+    return ((milliseconds ?? 0) / 1000).toFixed(3);
+  }
+
+  // Escape for attribute and text content; XML 1.0 forbids most control
+  // characters, including the ANSI escapes some assertion messages carry.
+  _escape(value) {
+    return String(value)
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
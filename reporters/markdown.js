@@ -13,10 +13,14 @@
  */
 
 import { Reporter } from './superclass.js';
+import { computeDiff, formatHunkHeader } from '../lib/diff.js';
+import { benchmarkColumns } from '../lib/benchmark.js';
+import { propertyParticulars } from '../lib/property.js';
+import { VARIANCE_CATEGORIES, describeVariance, isUnchanged } from '../lib/ledger.js';
 
 export class MarkdownReporter extends Reporter {
-  constructor(metadata = {}) {
-    super(metadata);
+  constructor(metadata = {}, options = {}) {
+    super(metadata, options);
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -33,6 +37,9 @@ export class MarkdownReporter extends Reporter {
     this.output(`║ Document Control: ${this._pad(this.metadata.documentId, 59)} ║`);
     this.output(`║ Transmission Date: ${this._pad(this.metadata.date, 58)} ║`);
     this.output(`║ Timestamp: ${this._pad(this.metadata.time, 66)} ║`);
+    if (this.metadata.seed !== undefined) {
+      this.output(`║ Test Order: ${this._pad(`${this.metadata.order}, SEED ${this.metadata.seed}`, 65)} ║`);
+    }
     this.output('╚═══════════════════════════════════════════════════════════════════════════════╝');
     this.output('```');
     this.output('');
@@ -65,23 +72,84 @@ export class MarkdownReporter extends Reporter {
     this.output('');
   }
 
+  dataTable(headings, rows, caption = null) {
+    const cell = text => text.replace(/\|/g, '\\|');
+    if (caption) {
+      this.output(`**Data table:** ${caption}`);
+      this.output('');
+    }
+    this.output(`| ${headings.map(cell).join(' | ')} |`);
+    this.output(`|${headings.map(() => '---').join('|')}|`);
+    rows.forEach(row => this.output(`| ${row.map(cell).join(' | ')} |`));
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 3: MARKDOWN TEST RESULTS
   // ────────────────────────────────────────────────────────────────────────────
 
-  testPassed(testId, description) {
-    this.output(`- ✓ **TEST ${testId} PASSED**: ${description}`);
+  testPassed(testId, description, result = {}) {
+    this.output(`- ✓ **TEST ${testId} PASSED**: ${description}${this._slowMarker(result)}`);
   }
 
   testFailed(testId, description, result) {
-    this.output(`- ✗ **TEST ${testId} FAILED**: ${description}`);
+    this.output(`- ✗ **TEST ${testId} FAILED**: ${description}${this._slowMarker(result)}`);
     if (result.message) {
       this.output(`  - Reason: ${result.message}`);
     }
-    if (result.expected !== null && result.actual !== null) {
+    if (result.diff) {
+      this.output('');
+      this._variance(result.diff, '  ');
+    } else if (result.expected !== null && result.actual !== null) {
       this.output(`  - Expected: \`${JSON.stringify(result.expected)}\``);
       this.output(`  - Actual: \`${JSON.stringify(result.actual)}\``);
     }
+    if (result.property) {
+      propertyParticulars(result.property).forEach(([label, text]) => this.output(`  - ${label}: \`${text}\``));
+    }
+  }
+
+  testTimedOut(testId, description, result) {
+    this.output(`- ⧗ **TEST ${testId} TIMED OUT**: ${description}`);
+    if (result.message) {
+      this.output(`  - Reason: ${result.message}`);
+    }
+  }
+
+  hookFailed(hookId, description, result) {
+    this.output(`- ⚙ **HOOK ${hookId} FAILED**: ${description}`);
+    if (result.message) {
+      this.output(`  - Reason: ${result.message}`);
+    }
+  }
+
+  testSkipped(testId, description, result) {
+    this.output(`- ○ _TEST ${testId} SKIPPED_: ${description}`);
+    if (result.message) {
+      this.output(`  - Reason: ${result.message}`);
+    }
+  }
+
+  testTodo(testId, description, result) {
+    this.output(`- [ ] **TEST ${testId} TODO**: ${description}`);
+    if (result.message) {
+      this.output(`  - Note: ${result.message}`);
+    }
+  }
+
+  benchmarkReport(testId, description, statistics) {
+    const columns = benchmarkColumns(statistics);
+    this.output('');
+    this.output(`**Benchmark ${testId}:** ${description}`);
+    this.output('');
+    this.output(`| ${columns.map(([heading]) => heading).join(' | ')} |`);
+    this.output(`|${columns.map(() => '---:').join('|')}|`);
+    this.output(`| ${columns.map(([, value]) => value).join(' | ')} |`);
+    if (!statistics.stable) {
+      this.output('');
+      this.output('_\\* Margin of error above target when the measurement allotment ran out._');
+    }
+    this.output('');
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -89,7 +157,7 @@ export class MarkdownReporter extends Reporter {
   // ────────────────────────────────────────────────────────────────────────────
 
   summary(stats) {
-    const { total, passed, failed, passRate, duration } = stats;
+    const { total, passed, failed, timedOut = 0, hookFailures = 0, skipped = 0, todo = 0, slow = 0, withheld = 0, passRate, duration } = stats;
 
     this.output('');
     this.output('```');
@@ -99,6 +167,12 @@ export class MarkdownReporter extends Reporter {
     this.output(`║ Total Operations:    ${this._pad(String(total), 56)} ║`);
     this.output(`║ Successful:          ${this._pad(String(passed), 56)} ║`);
     this.output(`║ Failed:              ${this._pad(String(failed), 56)} ║`);
+    this.output(`║ Timed Out:           ${this._pad(String(timedOut), 56)} ║`);
+    this.output(`║ Hook Failures:       ${this._pad(String(hookFailures), 56)} ║`);
+    this.output(`║ Skipped:             ${this._pad(String(skipped), 56)} ║`);
+    this.output(`║ To Do:               ${this._pad(String(todo), 56)} ║`);
+    this.output(`║ Slow:                ${this._pad(String(slow), 56)} ║`);
+    this.output(`║ Withheld:            ${this._pad(String(withheld), 56)} ║`);
     this.output(`║ Success Rate:        ${this._pad(`${passRate}%`, 56)} ║`);
     this.output(`║ Execution Duration:  ${this._pad(`${duration}ms`, 56)} ║`);
     this.output('╠═══════════════════════════════════════════════════════════════════════════════╣');
@@ -114,18 +188,82 @@ export class MarkdownReporter extends Reporter {
     this.output('');
   }
 
+  slowestOperations(entries) {
+    this.output('## Top 10 Slowest Operations');
+    this.output('');
+    this.output('| Rank | Test | Duration | Description |');
+    this.output('|-----:|------|---------:|-------------|');
+    entries.forEach((entry, index) => {
+      this.output(`| ${index + 1} | ${entry.id} | ${this._milliseconds(entry.duration)} | ${entry.description}${entry.slow ? ' _(slow)_' : ''} |`);
+    });
+    this.output('');
+  }
+
+  baselineReport(variance) {
+    const { documentId, filed, file } = variance.baseline;
+    this.output('## Variance from Previous Filing');
+    this.output('');
+    this.output(`Baseline: **${documentId}** filed ${filed} (\`${file}\`)`);
+    this.output('');
+    if (isUnchanged(variance)) {
+      this.output('_No variance from previous filing._');
+      this.output('');
+      return;
+    }
+    VARIANCE_CATEGORIES.filter(({ list }) => variance[list].length > 0).forEach(({ list, title }) => {
+      this.output(`### ${title} (${variance[list].length})`);
+      this.output('');
+      variance[list].forEach(entry => {
+        this.output(`- **[${entry.id}]** ${entry.key} — ${describeVariance(list, entry)}`);
+      });
+      this.output('');
+    });
+  }
+
   failureDetails(failures) {
     if (failures.length === 0) return;
 
     this.output('## Failed Operations Registry');
     this.output('');
     failures.forEach(f => {
-      this.output(`- **[${f.id}]** ${f.description}`);
+      const marker = { TIMEOUT: ' _(timeout)_', HOOK_FAILED: ' _(hook)_' }[f.status] ?? '';
+      this.output(`- **[${f.id}]** ${f.description}${marker}`);
       if (f.message) this.output(`  - ${f.message}`);
     });
     this.output('');
   }
 
+  suiteRegistry(entries) {
+    this.output('');
+    this.output('## Consolidated Suite Registry');
+    this.output('');
+    this.output('| Verdict | File | Operations | Failed |');
+    this.output('|---------|------|-----------:|-------:|');
+    entries.forEach(entry => {
+      this.output(`| ${entry.passed ? '✓ PASSED' : '✗ FAILED'} | \`${entry.file}\` | ${entry.total} | ${entry.failed} |`);
+    });
+    this.output('');
+    entries.filter(entry => entry.error).forEach(entry => {
+      this.output(`- **${entry.file}**: ${entry.error}`);
+    });
+  }
+
+  snapshotReport(report) {
+    this.output('## Snapshot Registry');
+    this.output('');
+    this.output(`File: \`${report.file}\``);
+    this.output('');
+    report.written.forEach(name => this.output(`- **Recorded:** ${name}`));
+    report.updated.forEach(name => this.output(`- **Updated:** ${name}`));
+    report.removed.forEach(name => this.output(`- **Removed:** ${name}`));
+    report.obsolete.forEach(name => this.output(`- **Obsolete:** ${name}`));
+    if (report.obsolete.length > 0) {
+      this.output('');
+      this.output('_Obsolete records may be removed with `--update-snapshots`._');
+    }
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 5: MARKDOWN DIFFERENTIAL ANALYSIS
   // ────────────────────────────────────────────────────────────────────────────
@@ -134,29 +272,36 @@ export class MarkdownReporter extends Reporter {
     this.output('');
     this.output(`### ${label}`);
     this.output('');
+    this._variance(computeDiff(expected, actual), '');
+  }
 
-    const expectedStr = this._stringify(expected);
-    const actualStr = this._stringify(actual);
+  _slowMarker(result) {
+    return result.slow ? ` _(slow: ${this._milliseconds(result.duration)})_` : '';
+  }
 
-    if (expectedStr === actualStr) {
-      this.output('**[NO VARIANCE DETECTED]**');
-      this.output('');
-    } else {
-      this.output('**Expected State:**');
+  _variance(analysis, indent) {
+    if (analysis.identical && analysis.changes.length === 0) {
+      this.output(`${indent}**[NO VARIANCE DETECTED]**`);
       this.output('');
-      this.output('```diff');
-      expectedStr.split('\n').forEach(line => {
-        this.output('- ' + line);
+      return;
+    }
+
+    if (analysis.hunks.length > 0) {
+      this.output(`${indent}\`\`\`diff`);
+      analysis.hunks.forEach(hunk => {
+        this.output(indent + formatHunkHeader(hunk));
+        hunk.lines.forEach(({ op, text }) => this.output(`${indent}${op} ${text}`));
       });
-      this.output('```');
+      this.output(`${indent}\`\`\``);
       this.output('');
-      this.output('**Actual State:**');
+    }
+
+    if (analysis.changes.length > 0) {
+      this.output(`${indent}**Variance by path:**`);
       this.output('');
-      this.output('```diff');
-      actualStr.split('\n').forEach(line => {
-        this.output('+ ' + line);
+      analysis.changes.forEach(({ path, expected, actual }) => {
+        this.output(`${indent}- \`${path}\`: \`${expected ?? '(absent)'}\` → \`${actual ?? '(absent)'}\``);
       });
-      this.output('```');
       this.output('');
     }
   }
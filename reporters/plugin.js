@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN REPORTER PLUGINS
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-016-PLUG
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * REPORTER PLUGIN LOADER
+ *
+ * Imports reporters supplied from outside the framework, by file path or
+ * package name, and inspects each against the reporter interface before it
+ * is admitted to service.
+ */
+
+import { createRequire } from 'node:module';
+import { isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Reporter } from './superclass.js';
+
+// The reporter interface: every method the framework and the runner call.
+// Extending Reporter provides all of them; a plugin need only override the
+// ones it renders differently.
+export const REPORTER_INTERFACE = [
+  'header', 'section', 'subsection', 'code', 'dataTable',
+  'testPassed', 'testFailed', 'testTimedOut', 'hookFailed', 'testSkipped', 'testTodo',
+  'benchmarkReport', 'summary', 'slowestOperations', 'baselineReport', 'failureDetails', 'suiteRegistry', 'snapshotReport', 'report', 'diff',
+  'log', 'info', 'warn', 'error', 'success',
+  'output', 'close'
+];
+
+export class ReporterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReporterError';
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 1: MODULE RESOLUTION
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Paths are taken relative to the working directory; package names are
+// resolved from it, as they would be from the suite.
+function resolveModule(specifier, cwd) {
+  if (specifier.startsWith('.') || isAbsolute(specifier)) {
+    return pathToFileURL(resolve(cwd, specifier)).href;
+  }
+  try {
+    return pathToFileURL(createRequire(join(cwd, 'noop.js')).resolve(specifier)).href;
+  } catch {
+    return specifier; // Left to import(), e.g. for packages without a require condition
+  }
+}
+
+// The reporter class is the default export, or else the first exported
+// Reporter subclass.
+function reporterClass(module) {
+  if (typeof module.default === 'function') return module.default;
+  return Object.values(module).find(value => typeof value === 'function' && value.prototype instanceof Reporter);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// SECTION 2: INSPECTION AND LOADING
+// ──────────────────────────────────────────────────────────────────────────────
+
+// Confirm that a reporter offers every method of the interface
+export function validateReporter(reporter, source = 'Reporter') {
+  const missing = REPORTER_INTERFACE.filter(name => typeof reporter?.[name] !== 'function');
+  if (missing.length > 0) {
+    throw new ReporterError(`${source} does not implement the reporter interface; missing: ${missing.join(', ')}`);
+  }
+  return reporter;
+}
+
+// Import a reporter module and construct its reporter with the given
+// metadata and options
+export async function loadReporter(specifier, metadata = {}, options = {}, cwd = process.cwd()) {
+  let module;
+  try {
+    module = await import(resolveModule(specifier, cwd));
+  } catch (error) {
+    throw new ReporterError(`Reporter module "${specifier}" could not be loaded: ${error.message}`);
+  }
+
+  const ReporterClass = reporterClass(module);
+  if (!ReporterClass) {
+    throw new ReporterError(`Reporter module "${specifier}" exports no reporter class`);
+  }
+  return validateReporter(new ReporterClass(metadata, options), `Reporter module "${specifier}"`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -12,8 +12,18 @@
  * transmission across legacy systems.
  */
 
+import { computeDiff, formatHunkHeader } from '../lib/diff.js';
+import { benchmarkColumns } from '../lib/benchmark.js';
+import { VARIANCE_CATEGORIES, describeVariance, isUnchanged } from '../lib/ledger.js';
+import { createSink } from '../lib/sink.js';
+import { propertyParticulars } from '../lib/property.js';
+
 export class Reporter {
-  constructor(metadata = {}) {
+  // `options.sink` routes output to a writable stream, a file path or a
+  // BufferSink instead of standard output; `options.file` is the same for a
+  // path. A file is replaced on construction unless `options.append` is set,
+  // and handed to `options.relay(path, text)` instead when that is given.
+  constructor(metadata = {}, options = {}) {
     this.metadata = {
       classification: metadata.classification ?? 'UNCLASSIFIED',
       documentId: metadata.documentId ?? `PTF-${Date.now()}`,
@@ -21,6 +31,7 @@ export class Reporter {
       time: new Date().toTimeString().split(' ')[0],
       ...metadata
     };
+    this.sink = createSink(options.sink ?? options.file, { append: options.append, relay: options.relay });
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -37,6 +48,9 @@ export class Reporter {
     this.output(`║ Document Control: ${this._pad(this.metadata.documentId, 60)} ║`);
     this.output(`║ Transmission Date: ${this._pad(this.metadata.date, 57)} ║`);
     this.output(`║ Timestamp: ${this._pad(this.metadata.time, 65)} ║`);
+    if (this.metadata.seed !== undefined) {
+      this.output(`║ Test Order: ${this._pad(`${this.metadata.order}, SEED ${this.metadata.seed}`, 64)} ║`);
+    }
     this.output('╚═══════════════════════════════════════════════════════════════════════════════╝');
     this.output('');
   }
@@ -72,23 +86,104 @@ export class Reporter {
     this.output('');
   }
 
+  // The rows of a parameterized test, each beside the number of its test
+  dataTable(headings, rows, caption = null) {
+    const widths = this._columnWidths(headings, rows);
+    const line = cells => cells.map((cell, i) => this._pad(cell, widths[i])).join(' │ ').trimEnd();
+    this.output(`┌─[ DATA TABLE${caption ? `: ${caption}` : ''} ]`);
+    this.output(`│ ${line(headings)}`);
+    this.output(`├─${widths.map(width => '─'.repeat(width)).join('─┼─')}`);
+    rows.forEach(row => this.output(`│ ${line(row)}`));
+    this.output('└' + '─'.repeat(79));
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 3: TEST RESULTS
   // ────────────────────────────────────────────────────────────────────────────
 
-  testPassed(testId, description) {
-    this.output(`[PASS] TEST ${testId}: ${description}`);
+  testPassed(testId, description, result = {}) {
+    this.output(`[PASS] TEST ${testId}: ${description}${this._slowMarker(result)}`);
   }
 
   testFailed(testId, description, result) {
-    this.output(`[FAIL] TEST ${testId}: ${description}`);
+    this.output(`[FAIL] TEST ${testId}: ${description}${this._slowMarker(result)}`);
     if (result.message) {
       this.output(`       Reason: ${result.message}`);
     }
-    if (result.expected !== null && result.actual !== null) {
+    if (result.diff) {
+      this._variance(result.diff, '       ');
+    } else if (result.expected !== null && result.actual !== null) {
       this.output(`       Expected: ${JSON.stringify(result.expected)}`);
       this.output(`       Actual:   ${JSON.stringify(result.actual)}`);
     }
+    if (result.property) {
+      propertyParticulars(result.property).forEach(([label, text]) => this.output(`       ${label}: ${text}`));
+    }
+  }
+
+  testTimedOut(testId, description, result) {
+    this.output(`[TIME] TEST ${testId}: ${description}`);
+    if (result.message) {
+      this.output(`       Reason: ${result.message}`);
+    }
+  }
+
+  hookFailed(hookId, description, result) {
+    this.output(`[HOOK] ${hookId}: ${description}`);
+    if (result.message) {
+      this.output(`       Reason: ${result.message}`);
+    }
+  }
+
+  testSkipped(testId, description, result) {
+    this.output(`[SKIP] TEST ${testId}: ${description}`);
+    if (result.message) {
+      this.output(`       Reason: ${result.message}`);
+    }
+  }
+
+  testTodo(testId, description, result) {
+    this.output(`[TODO] TEST ${testId}: ${description}`);
+    if (result.message) {
+      this.output(`       Note: ${result.message}`);
+    }
+  }
+
+  // Statistics of a measured operation, beneath its result
+  benchmarkReport(testId, description, statistics) {
+    const columns = benchmarkColumns(statistics);
+    const widths = columns.map(([heading, value]) => Math.max(heading.length, value.length) + 2);
+    this.output(`[BENCH] TEST ${testId}: ${description}`);
+    this.output(`        ${columns.map(([heading], i) => this._pad(heading, widths[i])).join('')}`.trimEnd());
+    this.output(`        ${columns.map(([, value], i) => this._pad(value, widths[i])).join('')}`.trimEnd());
+    if (!statistics.stable) {
+      this.output('        * Margin of error above target when the measurement allotment ran out');
+    }
+  }
+
+  // Render a filed result model through this reporter's own methods, as for
+  // the results a suite transmitted to the runner rather than reported as
+  // they happened
+  _replay(results) {
+    const filings = { PASSED: 'testPassed', TIMEOUT: 'testTimedOut', HOOK_FAILED: 'hookFailed', SKIPPED: 'testSkipped', TODO: 'testTodo' };
+    const file = tests => tests.forEach(result => {
+      this[filings[result.status] ?? 'testFailed'](result.id, result.description, result);
+      if (result.benchmark) this.benchmarkReport(result.id, result.description, result.benchmark);
+    });
+    const subsection = sub => {
+      const [sectionNumber, testNumber] = sub.id.split('.');
+      this.subsection(sectionNumber, testNumber, sub.title);
+      file(sub.tests);
+    };
+
+    file(results.tests);
+    results.subsections.forEach(subsection);
+    results.sections.forEach(section => {
+      this.section(section.number, section.title);
+      file(section.tests);
+      section.subsections.forEach(subsection);
+    });
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -96,7 +191,7 @@ export class Reporter {
   // ────────────────────────────────────────────────────────────────────────────
 
   summary(stats) {
-    const { total, passed, failed, passRate, duration } = stats;
+    const { total, passed, failed, timedOut = 0, hookFailures = 0, skipped = 0, todo = 0, slow = 0, withheld = 0, passRate, duration } = stats;
 
     this.output('');
     this.output('╔═══════════════════════════════════════════════════════════════════════════════╗');
@@ -105,6 +200,12 @@ export class Reporter {
     this.output(`║ Total Operations:    ${this._pad(String(total), 56)} ║`);
     this.output(`║ Successful:          ${this._pad(String(passed), 56)} ║`);
     this.output(`║ Failed:              ${this._pad(String(failed), 56)} ║`);
+    this.output(`║ Timed Out:           ${this._pad(String(timedOut), 56)} ║`);
+    this.output(`║ Hook Failures:       ${this._pad(String(hookFailures), 56)} ║`);
+    this.output(`║ Skipped:             ${this._pad(String(skipped), 56)} ║`);
+    this.output(`║ To Do:               ${this._pad(String(todo), 56)} ║`);
+    this.output(`║ Slow:                ${this._pad(String(slow), 56)} ║`);
+    this.output(`║ Withheld:            ${this._pad(String(withheld), 56)} ║`);
     this.output(`║ Success Rate:        ${this._pad(`${passRate}%`, 56)} ║`);
     this.output(`║ Execution Duration:  ${this._pad(`${duration}ms`, 56)} ║`);
     this.output('╠═══════════════════════════════════════════════════════════════════════════════╣');
@@ -119,18 +220,81 @@ export class Reporter {
     this.output('');
   }
 
+  // Entries of { id, description, duration, slow }, slowest first
+  slowestOperations(entries) {
+    this.output('TOP 10 SLOWEST OPERATIONS:');
+    this.output('');
+    this.output('  RANK  TEST        DURATION      DESCRIPTION');
+    entries.forEach((entry, index) => {
+      const rank = String(index + 1).padStart(4);
+      this.output(`  ${rank}  ${this._pad(entry.id, 10)}  ${this._milliseconds(entry.duration).padStart(12)}  ${entry.description}${entry.slow ? ' [SLOW]' : ''}`);
+    });
+    this.output('');
+  }
+
+  // The variance from a previous filing, as compared by the results ledger
+  baselineReport(variance) {
+    const { documentId, filed, file } = variance.baseline;
+    this.output('VARIANCE FROM PREVIOUS FILING:');
+    this.output(`  Baseline: ${documentId} filed ${filed} (${file})`);
+    this.output('');
+    if (isUnchanged(variance)) {
+      this.output('  NO VARIANCE FROM PREVIOUS FILING');
+      this.output('');
+      return;
+    }
+    VARIANCE_CATEGORIES.filter(({ list }) => variance[list].length > 0).forEach(({ list, title }) => {
+      this.output(`  ${title.toUpperCase()} (${variance[list].length}):`);
+      variance[list].forEach(entry => {
+        this.output(`    [${entry.id}] ${entry.key} — ${describeVariance(list, entry)}`);
+      });
+      this.output('');
+    });
+  }
+
   failureDetails(failures) {
     if (failures.length === 0) return;
 
     this.output('FAILED OPERATIONS REGISTRY:');
     this.output('');
     failures.forEach(f => {
-      this.output(`  [${f.id}] ${f.description}`);
+      const marker = { TIMEOUT: ' [TIMEOUT]', HOOK_FAILED: ' [HOOK]' }[f.status] ?? '';
+      this.output(`  [${f.id}] ${f.description}${marker}`);
       if (f.message) this.output(`       ${f.message}`);
     });
     this.output('');
   }
 
+  // Receives the complete result model once the summary has been filed.
+  // Human-readable reporters have already rendered everything it contains.
+  report(document) {}
+
+  suiteRegistry(entries) {
+    this.output('');
+    this.output('═'.repeat(80));
+    this.output('CONSOLIDATED SUITE REGISTRY');
+    this.output('═'.repeat(80));
+    this.output('');
+    entries.forEach(entry => {
+      this.output(`[${entry.passed ? 'PASS' : 'FAIL'}] FILE ${entry.file}: ${entry.total} operation(s), ${entry.failed} failed`);
+      if (entry.error) this.output(`       Reason: ${entry.error}`);
+    });
+  }
+
+  snapshotReport(report) {
+    this.output(`SNAPSHOT REGISTRY: ${report.file}`);
+    this.output('');
+    report.written.forEach(name => this.output(`  [RECORDED] ${name}`));
+    report.updated.forEach(name => this.output(`  [UPDATED]  ${name}`));
+    report.removed.forEach(name => this.output(`  [REMOVED]  ${name}`));
+    report.obsolete.forEach(name => this.output(`  [OBSOLETE] ${name}`));
+    if (report.obsolete.length > 0) {
+      this.output('');
+      this.output('  Obsolete records may be removed with --update-snapshots');
+    }
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 5: DIFFERENTIAL ANALYSIS
   // ────────────────────────────────────────────────────────────────────────────
@@ -139,27 +303,34 @@ export class Reporter {
     this.output('');
     this.output('┌─[ ' + label + ' ]' + '─'.repeat(Math.max(0, 74 - label.length)));
     this.output('');
+    this._variance(computeDiff(expected, actual), '  ');
+    this.output('');
+    this.output('└' + '─'.repeat(79));
+    this.output('');
+  }
 
-    const expectedStr = this._stringify(expected);
-    const actualStr = this._stringify(actual);
+  // Render a computed differential: unified hunks (- expected, + actual)
+  // followed by the register of variances by property path.
+  _variance(analysis, indent) {
+    if (analysis.identical && analysis.changes.length === 0) {
+      this.output(`${indent}[NO VARIANCE DETECTED]`);
+      return;
+    }
 
-    if (expectedStr === actualStr) {
-      this.output('  [NO VARIANCE DETECTED]');
-    } else {
-      this.output('  EXPECTED STATE:');
-      expectedStr.split('\n').forEach(line => {
-        this.output('  - ' + line);
-      });
+    analysis.hunks.forEach(hunk => {
+      this.output(indent + formatHunkHeader(hunk));
+      hunk.lines.forEach(({ op, text }) => this.output(`${indent}${op} ${text}`));
+    });
+
+    if (analysis.changes.length > 0) {
       this.output('');
-      this.output('  ACTUAL STATE:');
-      actualStr.split('\n').forEach(line => {
-        this.output('  + ' + line);
-      });
+      this.output(`${indent}VARIANCE BY PATH:`);
+      analysis.changes.forEach(change => this.output(`${indent}  ${this._describeChange(change)}`));
     }
+  }
 
-    this.output('');
-    this.output('└' + '─'.repeat(79));
-    this.output('');
+  _describeChange({ path, expected, actual }) {
+    return `${path}: ${expected ?? '(absent)'} → ${actual ?? '(absent)'}`;
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -191,19 +362,28 @@ export class Reporter {
   // ────────────────────────────────────────────────────────────────────────────
 
   output(message) {
-    console.log(message);
+    this.sink.write(`${message}\n`);
+  }
+
+  // Flush and close the sink; resolves once the record is complete
+  close() {
+    return this.sink.close();
   }
 
   _pad(str, length) {
     return str + ' '.repeat(Math.max(0, length - str.length));
   }
 
-  _stringify(value) {
-    if (typeof value === 'string') return value;
-    if (typeof value === 'object' && value !== null) {
-      return JSON.stringify(value, null, 2);
-    }
-    return String(value);
+  _columnWidths(headings, rows) {
+    return headings.map((heading, i) => Math.max(heading.length, ...rows.map(row => row[i].length)));
+  }
+
+  _milliseconds(duration) {
+    return `${duration.toFixed(2)}ms`;
+  }
+
+  _slowMarker(result) {
+    return result.slow ? ` [SLOW ${this._milliseconds(result.duration)}]` : '';
   }
 }
 
@@ -0,0 +1,308 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN TAP REPORTER
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-012-TAP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * TEST ANYTHING PROTOCOL REPORTER
+ *
+ * Files results as TAP version 14 for interchange with existing tooling.
+ * Narrative messages are transmitted as comments as they occur; the test
+ * points are composed from the result document when the suite closes, so
+ * that every test is filed whatever the verbosity. Sections and subsections
+ * become subtests and failures carry YAML diagnostics.
+ */
+
+import { Reporter } from './superclass.js';
+import { computeDiff, formatHunkHeader, serialize } from '../lib/diff.js';
+import { benchmarkColumns } from '../lib/benchmark.js';
+import { VARIANCE_CATEGORIES, describeVariance, isUnchanged } from '../lib/ledger.js';
+
+const INDENT = '    ';
+
+export class TapReporter extends Reporter {
+  constructor(metadata = {}, options = {}) {
+    super(metadata, options);
+    this.started = false;
+    // Test points are filed only while the document is composed
+    this.composing = false;
+    // Open test points, outermost first: the document, a section, a subsection
+    this.levels = [{ kind: 'document', count: 0, failed: false }];
+    // Levels beneath which a suite's sections open; a suite replayed under
+    // the runner is itself a subtest of the document
+    this.floor = 1;
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 1: DOCUMENT STRUCTURE
+  // ────────────────────────────────────────────────────────────────────────────
+
+  header(testSuiteName) {
+    this._comment(this.metadata.classification);
+    this._comment(`OPERATIONAL TEST REPORT: ${testSuiteName}`);
+    this._comment(`Document Control: ${this.metadata.documentId}`);
+    this._comment(`Transmission Date: ${this.metadata.date} ${this.metadata.time}`);
+    if (this.metadata.seed !== undefined) this._comment(`Test Order: ${this.metadata.order}, seed ${this.metadata.seed}`);
+  }
+
+  section(sectionNumber, title) {
+    if (!this.composing) return;
+    this._closeLevels(this.floor);
+    this._openLevel('section', `SECTION ${sectionNumber}: ${title}`);
+  }
+
+  subsection(sectionNumber, testNumber, title) {
+    if (!this.composing) return;
+    this._closeLevels(this.levels.some(level => level.kind === 'section') ? this.floor + 1 : this.floor);
+    this._openLevel('subsection', `${sectionNumber}.${testNumber} ${title}`);
+  }
+
+  code(language, content, label = null) {
+    if (label) this._comment(`[ ${label} ]`);
+    content.trim().split('\n').forEach(line => this._comment(line));
+  }
+
+  dataTable(headings, rows, caption = null) {
+    const widths = this._columnWidths(headings, rows);
+    const line = cells => cells.map((cell, i) => this._pad(cell, widths[i])).join(' | ').trimEnd();
+    this._comment(`Data table${caption ? `: ${caption}` : ''}`);
+    [headings, ...rows].forEach(row => this._comment(`  ${line(row)}`));
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 2: TEST POINTS
+  // ────────────────────────────────────────────────────────────────────────────
+
+  testPassed(testId, description, result = {}) {
+    if (!this.composing) return;
+    this._point(true, `${testId} ${description}`);
+    if (result.slow) this._diagnostics(result);
+  }
+
+  testFailed(testId, description, result) {
+    if (!this.composing) return;
+    this._point(false, `${testId} ${description}`);
+    this._diagnostics(result);
+  }
+
+  testTimedOut(testId, description, result) {
+    if (!this.composing) return;
+    this._point(false, `${testId} ${description}`);
+    this._diagnostics(result);
+  }
+
+  hookFailed(hookId, description, result) {
+    if (!this.composing) return;
+    this._point(false, `${hookId} ${description}`);
+    this._diagnostics(result);
+  }
+
+  testSkipped(testId, description, result) {
+    if (!this.composing) return;
+    this._point(true, `${testId} ${description}`, `SKIP${result.message ? ` ${result.message}` : ''}`);
+  }
+
+  testTodo(testId, description, result) {
+    if (!this.composing) return;
+    this._point(false, `${testId} ${description}`, `TODO${result.message ? ` ${result.message}` : ''}`);
+  }
+
+  benchmarkReport(testId, description, statistics) {
+    if (!this.composing) return;
+    const columns = benchmarkColumns(statistics);
+    this._comment(`Benchmark ${testId}: ${columns.map(([heading, value]) => `${heading.toLowerCase()} ${value}`).join(', ')}`);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 3: PLAN AND SUMMARY
+  // ────────────────────────────────────────────────────────────────────────────
+
+  // The plan and counts are filed with the document, at every verbosity
+  summary(stats) {}
+
+  // File every test point, then close the stream with its plan. Under the
+  // runner, the consolidated document carries every suite's results; each
+  // suite becomes a subtest of one stream, and a file that filed nothing a
+  // failed test point.
+  report(document) {
+    this.composing = true;
+    if (document.suites) {
+      this._fileSuites(document);
+    } else {
+      this._replay(document);
+      this._closeLevels(1);
+    }
+    this.composing = false;
+
+    const { stats } = document;
+    this._line(`1..${this.levels[0].count}`);
+    this._comment(`tests ${stats.total}`);
+    this._comment(`pass ${stats.passed}`);
+    this._comment(`fail ${stats.failed}`);
+    this._comment(`skip ${stats.skipped ?? 0}`);
+    this._comment(`todo ${stats.todo ?? 0}`);
+    this._comment(`slow ${stats.slow ?? 0}`);
+    this._comment(`withheld ${stats.withheld ?? 0}`);
+    this._comment(`duration_ms ${stats.duration}`);
+  }
+
+  slowestOperations(entries) {
+    this._comment('Top 10 slowest operations');
+    entries.forEach((entry, index) => {
+      this._comment(`  ${index + 1}. ${entry.id} ${this._milliseconds(entry.duration)} ${entry.description}${entry.slow ? ' (slow)' : ''}`);
+    });
+  }
+
+  baselineReport(variance) {
+    const { documentId, filed, file } = variance.baseline;
+    this._comment(`Variance from previous filing: ${documentId} filed ${filed} (${file})`);
+    if (isUnchanged(variance)) {
+      this._comment('  no variance');
+      return;
+    }
+    VARIANCE_CATEGORIES.forEach(({ list, title }) => variance[list].forEach(entry => {
+      this._comment(`  ${title.toLowerCase()}: ${entry.id} ${entry.key} — ${describeVariance(list, entry)}`);
+    }));
+  }
+
+  // Failures were already described where they occurred
+  failureDetails(failures) {}
+
+  snapshotReport(report) {
+    this._comment(`Snapshot registry: ${report.file}`);
+    report.written.forEach(name => this._comment(`  recorded: ${name}`));
+    report.updated.forEach(name => this._comment(`  updated: ${name}`));
+    report.removed.forEach(name => this._comment(`  removed: ${name}`));
+    report.obsolete.forEach(name => this._comment(`  obsolete: ${name}`));
+  }
+
+  suiteRegistry(entries) {
+    this._comment('Consolidated suite registry');
+    entries.forEach(entry => {
+      this._comment(`  ${entry.passed ? 'PASS' : 'FAIL'} ${entry.file}: ${entry.total} operation(s), ${entry.failed} failed`);
+    });
+  }
+
+  diff(expected, actual, label = 'DIFFERENTIAL ANALYSIS') {
+    this._comment(`[ ${label} ]`);
+    const analysis = computeDiff(expected, actual);
+    if (analysis.identical && analysis.changes.length === 0) {
+      this._comment('NO VARIANCE DETECTED');
+      return;
+    }
+    analysis.hunks.forEach(hunk => {
+      this._comment(formatHunkHeader(hunk));
+      hunk.lines.forEach(({ op, text }) => this._comment(`${op} ${text}`));
+    });
+    analysis.changes.forEach(change => this._comment(this._describeChange(change)));
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 4: COMMENTS
+  // ────────────────────────────────────────────────────────────────────────────
+
+  log(...args) {
+    this._comment(args.join(' '));
+  }
+
+  info(...args) {
+    this._comment(`INFO ${args.join(' ')}`);
+  }
+
+  warn(...args) {
+    this._comment(`WARN ${args.join(' ')}`);
+  }
+
+  error(...args) {
+    this._comment(`ERROR ${args.join(' ')}`);
+  }
+
+  success(...args) {
+    this._comment(`SUCCESS ${args.join(' ')}`);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────
+  // SECTION 5: PROTOCOL UTILITIES
+  // ────────────────────────────────────────────────────────────────────────────
+
+  _line(text) {
+    if (!this.started) {
+      this.started = true;
+      this.output('TAP version 14');
+    }
+    this.output(INDENT.repeat(this.levels.length - 1) + text);
+  }
+
+  _comment(text) {
+    String(text).split('\n').forEach(line => this._line(line ? `# ${line}` : '#'));
+  }
+
+  _point(ok, description, directive = null) {
+    const level = this.levels[this.levels.length - 1];
+    level.count++;
+    if (!ok && !directive) level.failed = true;
+    const escaped = description.replace(/\\/g, '\\\\').replace(/#/g, '\\#');
+    this._line(`${ok ? 'ok' : 'not ok'} ${level.count} - ${escaped}${directive ? ` # ${directive}` : ''}`);
+  }
+
+  _openLevel(kind, title) {
+    this.levels.push({ kind, title, count: 0, failed: false });
+    this._line(`# Subtest: ${title}`);
+  }
+
+  // Close subtests beyond the given depth: each emits its plan, then its
+  // result as a test point in the enclosing level.
+  _closeLevels(depth) {
+    while (this.levels.length > depth) {
+      const level = this.levels[this.levels.length - 1];
+      this._line(`1..${level.count}`);
+      this.levels.pop();
+      this._point(!level.failed, level.title);
+    }
+  }
+
+  _fileSuites(document) {
+    this.floor = 2;
+    document.suites.forEach(suite => {
+      this._openLevel('suite', `${suite.file} › ${suite.suite}`);
+      this._replay(suite);
+      this._closeLevels(1);
+    });
+    this.floor = 1;
+
+    document.files.filter(entry => entry.error).forEach(entry => {
+      this._point(false, `${entry.file} Suite file`);
+      this._diagnostics({ status: 'FAILED', message: entry.error });
+    });
+  }
+
+  _diagnostics(result) {
+    const lines = ['  ---'];
+    lines.push(`  status: ${result.status}`);
+    if (result.message) lines.push(`  message: ${JSON.stringify(result.message)}`);
+    for (const key of ['expected', 'actual']) {
+      if (result[key] === null || result[key] === undefined) continue;
+      lines.push(...this._yaml(key, result[key]));
+    }
+    if (result.property) {
+      lines.push(...this._yaml('counterexample', result.property.counterexample));
+      lines.push(`  seed: ${result.property.seed}`);
+    }
+    if (result.duration !== undefined) lines.push(`  duration_ms: ${Number(result.duration.toFixed(3))}`);
+    if (result.slow) lines.push('  slow: true');
+    lines.push('  ...');
+    lines.forEach(line => this._line(line));
+  }
+
+  // Render a value as a YAML entry; multi-line text becomes a block scalar
+  _yaml(key, value) {
+    const text = typeof value === 'string' ? value : serialize(value);
+    if (!text.includes('\n')) return [`  ${key}: ${JSON.stringify(typeof value === 'string' ? value : text)}`];
+    return [`  ${key}: |-`, ...text.split('\n').map(line => `    ${line}`)];
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
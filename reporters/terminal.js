@@ -13,6 +13,10 @@
  */
 
 import { Reporter } from './superclass.js';
+import { computeDiff, formatHunkHeader } from '../lib/diff.js';
+import { benchmarkColumns } from '../lib/benchmark.js';
+import { propertyParticulars } from '../lib/property.js';
+import { VARIANCE_CATEGORIES, describeVariance, isUnchanged } from '../lib/ledger.js';
 
 const ANSI = {
   RESET: '\x1b[0m',
@@ -35,8 +39,8 @@ const ANSI = {
 };
 
 export class TerminalReporter extends Reporter {
-  constructor(metadata = {}) {
-    super(metadata);
+  constructor(metadata = {}, options = {}) {
+    super(metadata, options);
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -53,6 +57,9 @@ export class TerminalReporter extends Reporter {
     this.output(ANSI.CYAN + '║ ' + ANSI.WHITE + 'Document Control: ' + ANSI.RESET + this._pad(this.metadata.documentId, 60) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.WHITE + 'Transmission Date: ' + ANSI.RESET + this._pad(this.metadata.date, 59) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.WHITE + 'Timestamp: ' + ANSI.RESET + this._pad(this.metadata.time, 67) + ANSI.CYAN + '║' + ANSI.RESET);
+    if (this.metadata.seed !== undefined) {
+      this.output(ANSI.CYAN + '║ ' + ANSI.WHITE + 'Test Order: ' + ANSI.RESET + ANSI.YELLOW + this._pad(`${this.metadata.order}, SEED ${this.metadata.seed}`, 66) + ANSI.RESET + ANSI.CYAN + '║' + ANSI.RESET);
+    }
     this.output(ANSI.CYAN + '╚═══════════════════════════════════════════════════════════════════════════════╝' + ANSI.RESET);
     this.output('');
   }
@@ -88,23 +95,82 @@ export class TerminalReporter extends Reporter {
     this.output('');
   }
 
+  dataTable(headings, rows, caption = null) {
+    const widths = this._columnWidths(headings, rows);
+    const bar = `${ANSI.DIM}│${ANSI.RESET}`;
+    const cells = row => row.map((cell, i) => this._pad(cell, widths[i]));
+    this.output(ANSI.DIM + '┌─[ ' + ANSI.RESET + ANSI.MAGENTA + `DATA TABLE${caption ? `: ${caption}` : ''}` + ANSI.RESET + ANSI.DIM + ' ]' + ANSI.RESET);
+    this.output(`${bar} ${ANSI.BOLD}${cells(headings).join(` ${bar}${ANSI.BOLD} `).trimEnd()}${ANSI.RESET}`);
+    this.output(ANSI.DIM + `├─${widths.map(width => '─'.repeat(width)).join('─┼─')}` + ANSI.RESET);
+    rows.forEach(row => {
+      const [id, ...values] = cells(row);
+      this.output(`${bar} ${ANSI.CYAN}${id}${ANSI.RESET} ${bar} ${values.join(` ${bar} `)}`.trimEnd());
+    });
+    this.output(ANSI.DIM + '└' + '─'.repeat(79) + ANSI.RESET);
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 3: ENHANCED TEST RESULTS
   // ────────────────────────────────────────────────────────────────────────────
 
-  testPassed(testId, description) {
-    this.output(`${ANSI.GREEN}✓ TEST ${testId} PASSED${ANSI.RESET}: ${description}`);
+  testPassed(testId, description, result = {}) {
+    this.output(`${ANSI.GREEN}✓ TEST ${testId} PASSED${ANSI.RESET}: ${description}${this._slowMarker(result)}`);
   }
 
   testFailed(testId, description, result) {
-    this.output(`${ANSI.RED}✗ TEST ${testId} FAILED${ANSI.RESET}: ${description}`);
+    this.output(`${ANSI.RED}✗ TEST ${testId} FAILED${ANSI.RESET}: ${description}${this._slowMarker(result)}`);
     if (result.message) {
       this.output(`  ${ANSI.YELLOW}Reason: ${result.message}${ANSI.RESET}`);
     }
-    if (result.expected !== null && result.actual !== null) {
+    if (result.diff) {
+      this._variance(result.diff, '  ');
+    } else if (result.expected !== null && result.actual !== null) {
       this.output(`  ${ANSI.CYAN}Expected: ${JSON.stringify(result.expected)}${ANSI.RESET}`);
       this.output(`  ${ANSI.MAGENTA}Actual:   ${JSON.stringify(result.actual)}${ANSI.RESET}`);
     }
+    if (result.property) {
+      propertyParticulars(result.property).forEach(([label, text]) => this.output(`  ${ANSI.CYAN}${label}:${ANSI.RESET} ${text}`));
+    }
+  }
+
+  testTimedOut(testId, description, result) {
+    this.output(`${ANSI.RED}${ANSI.BOLD}⧗ TEST ${testId} TIMED OUT${ANSI.RESET}: ${description}`);
+    if (result.message) {
+      this.output(`  ${ANSI.YELLOW}Reason: ${result.message}${ANSI.RESET}`);
+    }
+  }
+
+  hookFailed(hookId, description, result) {
+    this.output(`${ANSI.RED}⚙ HOOK ${hookId} FAILED${ANSI.RESET}: ${description}`);
+    if (result.message) {
+      this.output(`  ${ANSI.YELLOW}Reason: ${result.message}${ANSI.RESET}`);
+    }
+  }
+
+  testSkipped(testId, description, result) {
+    this.output(`${ANSI.DIM}○ TEST ${testId} SKIPPED${ANSI.RESET}: ${description}`);
+    if (result.message) {
+      this.output(`  ${ANSI.DIM}Reason: ${result.message}${ANSI.RESET}`);
+    }
+  }
+
+  testTodo(testId, description, result) {
+    this.output(`${ANSI.CYAN}☐ TEST ${testId} TODO${ANSI.RESET}: ${description}`);
+    if (result.message) {
+      this.output(`  ${ANSI.DIM}Note: ${result.message}${ANSI.RESET}`);
+    }
+  }
+
+  benchmarkReport(testId, description, statistics) {
+    const columns = benchmarkColumns(statistics);
+    const widths = columns.map(([heading, value]) => Math.max(heading.length, value.length) + 2);
+    this.output(`${ANSI.BLUE}⏱ TEST ${testId} BENCHMARK${ANSI.RESET}: ${description}`);
+    this.output(`  ${ANSI.DIM}${columns.map(([heading], i) => this._pad(heading, widths[i])).join('').trimEnd()}${ANSI.RESET}`);
+    this.output(`  ${ANSI.BOLD}${columns.map(([, value], i) => this._pad(value, widths[i])).join('').trimEnd()}${ANSI.RESET}`);
+    if (!statistics.stable) {
+      this.output(`  ${ANSI.YELLOW}* Margin of error above target when the measurement allotment ran out${ANSI.RESET}`);
+    }
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -112,7 +178,7 @@ export class TerminalReporter extends Reporter {
   // ────────────────────────────────────────────────────────────────────────────
 
   summary(stats) {
-    const { total, passed, failed, passRate, duration } = stats;
+    const { total, passed, failed, timedOut = 0, hookFailures = 0, skipped = 0, todo = 0, slow = 0, withheld = 0, passRate, duration } = stats;
 
     this.output('');
     this.output(ANSI.CYAN + '╔═══════════════════════════════════════════════════════════════════════════════╗' + ANSI.RESET);
@@ -121,6 +187,12 @@ export class TerminalReporter extends Reporter {
     this.output(ANSI.CYAN + '║ ' + ANSI.WHITE + 'Total Operations:    ' + ANSI.RESET + this._pad(String(total), 57) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.GREEN + 'Successful:          ' + ANSI.RESET + this._pad(String(passed), 57) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.RED + 'Failed:              ' + ANSI.RESET + this._pad(String(failed), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.MAGENTA + 'Timed Out:           ' + ANSI.RESET + this._pad(String(timedOut), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.MAGENTA + 'Hook Failures:       ' + ANSI.RESET + this._pad(String(hookFailures), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.DIM + 'Skipped:             ' + ANSI.RESET + this._pad(String(skipped), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.CYAN + 'To Do:               ' + ANSI.RESET + this._pad(String(todo), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.YELLOW + 'Slow:                ' + ANSI.RESET + this._pad(String(slow), 57) + ANSI.CYAN + '║' + ANSI.RESET);
+    this.output(ANSI.CYAN + '║ ' + ANSI.DIM + 'Withheld:            ' + ANSI.RESET + this._pad(String(withheld), 57) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.YELLOW + 'Success Rate:        ' + ANSI.RESET + this._pad(`${passRate}%`, 57) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '║ ' + ANSI.BLUE + 'Execution Duration:  ' + ANSI.RESET + this._pad(`${duration}ms`, 57) + ANSI.CYAN + '║' + ANSI.RESET);
     this.output(ANSI.CYAN + '╠═══════════════════════════════════════════════════════════════════════════════╣' + ANSI.RESET);
@@ -135,18 +207,80 @@ export class TerminalReporter extends Reporter {
     this.output('');
   }
 
+  slowestOperations(entries) {
+    this.output(ANSI.YELLOW + ANSI.BOLD + 'TOP 10 SLOWEST OPERATIONS:' + ANSI.RESET);
+    this.output('');
+    this.output(ANSI.DIM + '  RANK  TEST        DURATION      DESCRIPTION' + ANSI.RESET);
+    entries.forEach((entry, index) => {
+      const rank = String(index + 1).padStart(4);
+      const duration = this._milliseconds(entry.duration).padStart(12);
+      const marker = entry.slow ? ` ${ANSI.YELLOW}[SLOW]${ANSI.RESET}` : '';
+      this.output(`  ${rank}  ${ANSI.CYAN}${this._pad(entry.id, 10)}${ANSI.RESET}  ${duration}  ${entry.description}${marker}`);
+    });
+    this.output('');
+  }
+
+  baselineReport(variance) {
+    const { documentId, filed, file } = variance.baseline;
+    const colours = { newlyFailing: ANSI.RED, newlyPassing: ANSI.GREEN, added: ANSI.CYAN, removed: ANSI.DIM, slower: ANSI.YELLOW };
+    this.output(ANSI.BLUE + ANSI.BOLD + 'VARIANCE FROM PREVIOUS FILING:' + ANSI.RESET);
+    this.output(`  ${ANSI.DIM}Baseline: ${documentId} filed ${filed} (${file})${ANSI.RESET}`);
+    this.output('');
+    if (isUnchanged(variance)) {
+      this.output(`  ${ANSI.GREEN}NO VARIANCE FROM PREVIOUS FILING${ANSI.RESET}`);
+      this.output('');
+      return;
+    }
+    VARIANCE_CATEGORIES.filter(({ list }) => variance[list].length > 0).forEach(({ list, title }) => {
+      this.output(`  ${colours[list]}${ANSI.BOLD}${title.toUpperCase()} (${variance[list].length}):${ANSI.RESET}`);
+      variance[list].forEach(entry => {
+        this.output(`    ${ANSI.CYAN}[${entry.id}]${ANSI.RESET} ${entry.key} ${ANSI.DIM}— ${describeVariance(list, entry)}${ANSI.RESET}`);
+      });
+      this.output('');
+    });
+  }
+
   failureDetails(failures) {
     if (failures.length === 0) return;
 
     this.output(ANSI.RED + ANSI.BOLD + 'FAILED OPERATIONS REGISTRY:' + ANSI.RESET);
     this.output('');
     failures.forEach(f => {
-      this.output(`  ${ANSI.RED}[${f.id}]${ANSI.RESET} ${f.description}`);
+      const tag = { TIMEOUT: 'TIMEOUT', HOOK_FAILED: 'HOOK' }[f.status];
+      const marker = tag ? ` ${ANSI.MAGENTA}[${tag}]${ANSI.RESET}` : '';
+      this.output(`  ${ANSI.RED}[${f.id}]${ANSI.RESET} ${f.description}${marker}`);
       if (f.message) this.output(`       ${ANSI.YELLOW}${f.message}${ANSI.RESET}`);
     });
     this.output('');
   }
 
+  suiteRegistry(entries) {
+    this.output('');
+    this.output(ANSI.BLUE + '═'.repeat(80) + ANSI.RESET);
+    this.output(ANSI.BOLD + ANSI.BLUE + 'CONSOLIDATED SUITE REGISTRY' + ANSI.RESET);
+    this.output(ANSI.BLUE + '═'.repeat(80) + ANSI.RESET);
+    this.output('');
+    entries.forEach(entry => {
+      const verdict = entry.passed ? `${ANSI.GREEN}✓ FILE PASSED${ANSI.RESET}` : `${ANSI.RED}✗ FILE FAILED${ANSI.RESET}`;
+      this.output(`${verdict}: ${entry.file} ${ANSI.DIM}(${entry.total} operation(s), ${entry.failed} failed)${ANSI.RESET}`);
+      if (entry.error) this.output(`  ${ANSI.YELLOW}Reason: ${entry.error}${ANSI.RESET}`);
+    });
+  }
+
+  snapshotReport(report) {
+    this.output(ANSI.CYAN + ANSI.BOLD + 'SNAPSHOT REGISTRY: ' + ANSI.RESET + report.file);
+    this.output('');
+    report.written.forEach(name => this.output(`  ${ANSI.GREEN}[RECORDED]${ANSI.RESET} ${name}`));
+    report.updated.forEach(name => this.output(`  ${ANSI.YELLOW}[UPDATED]${ANSI.RESET}  ${name}`));
+    report.removed.forEach(name => this.output(`  ${ANSI.DIM}[REMOVED]${ANSI.RESET}  ${name}`));
+    report.obsolete.forEach(name => this.output(`  ${ANSI.MAGENTA}[OBSOLETE]${ANSI.RESET} ${name}`));
+    if (report.obsolete.length > 0) {
+      this.output('');
+      this.output(`  ${ANSI.DIM}Obsolete records may be removed with --update-snapshots${ANSI.RESET}`);
+    }
+    this.output('');
+  }
+
   // ────────────────────────────────────────────────────────────────────────────
   // SECTION 5: ENHANCED DIFFERENTIAL ANALYSIS
   // ────────────────────────────────────────────────────────────────────────────
@@ -155,27 +289,35 @@ export class TerminalReporter extends Reporter {
     this.output('');
     this.output(ANSI.YELLOW + '┌─[ ' + ANSI.BOLD + label + ANSI.RESET + ANSI.YELLOW + ' ]' + '─'.repeat(Math.max(0, 74 - label.length)) + ANSI.RESET);
     this.output('');
+    this._variance(computeDiff(expected, actual), '  ');
+    this.output('');
+    this.output(ANSI.YELLOW + '└' + '─'.repeat(79) + ANSI.RESET);
+    this.output('');
+  }
 
-    const expectedStr = this._stringify(expected);
-    const actualStr = this._stringify(actual);
+  _slowMarker(result) {
+    return result.slow ? ` ${ANSI.YELLOW}[SLOW ${this._milliseconds(result.duration)}]${ANSI.RESET}` : '';
+  }
 
-    if (expectedStr === actualStr) {
-      this.output(`  ${ANSI.GREEN}[NO VARIANCE DETECTED]${ANSI.RESET}`);
-    } else {
-      this.output(`  ${ANSI.CYAN}EXPECTED STATE:${ANSI.RESET}`);
-      expectedStr.split('\n').forEach(line => {
-        this.output(`  ${ANSI.RED}- ${line}${ANSI.RESET}`);
-      });
+  _variance(analysis, indent) {
+    if (analysis.identical && analysis.changes.length === 0) {
+      this.output(`${indent}${ANSI.GREEN}[NO VARIANCE DETECTED]${ANSI.RESET}`);
+      return;
+    }
+
+    const colors = { ' ': ANSI.DIM, '-': ANSI.RED, '+': ANSI.GREEN };
+    analysis.hunks.forEach(hunk => {
+      this.output(`${indent}${ANSI.CYAN}${formatHunkHeader(hunk)}${ANSI.RESET}`);
+      hunk.lines.forEach(({ op, text }) => this.output(`${indent}${colors[op]}${op} ${text}${ANSI.RESET}`));
+    });
+
+    if (analysis.changes.length > 0) {
       this.output('');
-      this.output(`  ${ANSI.CYAN}ACTUAL STATE:${ANSI.RESET}`);
-      actualStr.split('\n').forEach(line => {
-        this.output(`  ${ANSI.GREEN}+ ${line}${ANSI.RESET}`);
+      this.output(`${indent}${ANSI.CYAN}VARIANCE BY PATH:${ANSI.RESET}`);
+      analysis.changes.forEach(({ path, expected, actual }) => {
+        this.output(`${indent}  ${ANSI.WHITE}${path}${ANSI.RESET}: ${ANSI.RED}${expected ?? '(absent)'}${ANSI.RESET} → ${ANSI.GREEN}${actual ?? '(absent)'}${ANSI.RESET}`);
       });
     }
-
-    this.output('');
-    this.output(ANSI.YELLOW + '└' + '─'.repeat(79) + ANSI.RESET);
-    this.output('');
   }
 
   // ────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,121 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN ASSERTION LIBRARY — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-005-ASSERT-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BufferSink, createTestSuite } from '../index.js';
+
+// File a suite's results to a buffer and return each test's status by description
+async function verdicts(declare) {
+  const suite = createTestSuite('Assertions', { output: new BufferSink() });
+  declare(suite);
+  const document = await suite.summary();
+  return Object.fromEntries(document.tests.map(test => [test.description, test.status]));
+}
+
+class ValidationError extends Error {}
+
+describe('assertThrows', () => {
+  it('matches the raised error by class, pattern, text or properties', async () => {
+    const fail = () => { throw Object.assign(new ValidationError('name is required'), { code: 'E_NAME' }); };
+    assert.deepEqual(await verdicts(suite => suite
+      .assertThrows(fail, undefined, 'any')
+      .assertThrows(fail, ValidationError, 'class')
+      .assertThrows(fail, TypeError, 'other class')
+      .assertThrows(fail, /required/, 'pattern')
+      .assertThrows(fail, 'is required', 'text')
+      .assertThrows(fail, { code: 'E_NAME', message: /name/ }, 'properties')
+      .assertThrows(fail, { code: 'E_AGE' }, 'other properties')
+      .assertThrows(() => {}, undefined, 'nothing raised')), {
+      'any': 'PASSED',
+      'class': 'PASSED',
+      'other class': 'FAILED',
+      'pattern': 'PASSED',
+      'text': 'PASSED',
+      'properties': 'PASSED',
+      'other properties': 'FAILED',
+      'nothing raised': 'FAILED'
+    });
+  });
+});
+
+describe('assertRejects', () => {
+  it('accepts a promise or a function returning one', async () => {
+    assert.deepEqual(await verdicts(suite => suite
+      .assertRejects(Promise.reject(new ValidationError('denied')), ValidationError, 'promise')
+      .assertRejects(async () => { throw new Error('denied'); }, 'denied', 'function')
+      .assertRejects(Promise.resolve(1), undefined, 'fulfilled')
+      .assertRejects(Promise.reject(new Error('denied')), /granted/, 'other reason')), {
+      'promise': 'PASSED',
+      'function': 'PASSED',
+      'fulfilled': 'FAILED',
+      'other reason': 'FAILED'
+    });
+  });
+});
+
+describe('assertCloseTo', () => {
+  it('compares within the tolerance', async () => {
+    assert.deepEqual(await verdicts(suite => suite
+      .assertCloseTo(0.1 + 0.2, 0.3, 'default tolerance')
+      .assertCloseTo(3.14, Math.PI, 'outside default')
+      .assertCloseTo(3.14, Math.PI, 'given tolerance', 0.01)
+      .assertCloseTo('0.3', 0.3, 'not a number')), {
+      'default tolerance': 'PASSED',
+      'outside default': 'FAILED',
+      'given tolerance': 'PASSED',
+      'not a number': 'FAILED'
+    });
+  });
+
+  it('files the tolerance with the expected value', async () => {
+    const suite = createTestSuite('Assertions', { output: new BufferSink() });
+    const document = await suite.assertCloseTo(3.14, Math.PI, 'pi', 0.001).summary();
+    const [test] = document.tests;
+    assert.equal(test.status, 'FAILED');
+    assert.equal(test.expected, `${Math.PI} ± 0.001`);
+    assert.equal(test.actual, 3.14);
+    assert.equal(document.passed, false);
+  });
+});
+
+describe('assertIncludes', () => {
+  it('searches strings, Maps, Sets and iterables', async () => {
+    assert.deepEqual(await verdicts(suite => suite
+      .assertIncludes('classified', 'ass', 'substring')
+      .assertIncludes(new Map([['key', 1]]), 'key', 'map key')
+      .assertIncludes(new Set([{ id: 1 }]), { id: 1 }, 'set member by structure')
+      .assertIncludes([[1, 2]], [1, 2], 'array element by structure')
+      .assertIncludes([1, 2], 3, 'missing')
+      .assertIncludes(42, 4, 'not a collection')), {
+      'substring': 'PASSED',
+      'map key': 'PASSED',
+      'set member by structure': 'PASSED',
+      'array element by structure': 'PASSED',
+      'missing': 'FAILED',
+      'not a collection': 'FAILED'
+    });
+  });
+});
+
+describe('assertType', () => {
+  it('checks a classified name or a constructor', async () => {
+    assert.deepEqual(await verdicts(suite => suite
+      .assertType([], 'array', 'array')
+      .assertType(null, 'null', 'null')
+      .assertType(new Date(0), Date, 'constructor')
+      .assertType({}, 'array', 'object is no array')), {
+      'array': 'PASSED',
+      'null': 'PASSED',
+      'constructor': 'PASSED',
+      'object is no array': 'FAILED'
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
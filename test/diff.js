@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN DIFFERENTIAL ANALYSIS ENGINE — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-006-DIFF-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDiff, diffLines, diffObjects, formatHunkHeader, formatPath, isDiffable, serialize } from '../lib/diff.js';
+
+describe('serialize', () => {
+  it('renders values JSON cannot represent', () => {
+    assert.equal(serialize(new Map([['a', 1]]), { compact: true }), 'Map { "a" => 1 }');
+    assert.equal(serialize(new Set([1, 2]), { compact: true }), 'Set [ 1, 2 ]');
+    assert.equal(serialize(undefined), 'undefined');
+    assert.equal(serialize(10n), '10n');
+    assert.equal(serialize(new Date(0)), 'Date(1970-01-01T00:00:00.000Z)');
+  });
+
+  it('marks circular references', () => {
+    const value = { a: 1 };
+    value.self = value;
+    assert.equal(serialize(value, { compact: true }), '{ "a": 1, "self": [Circular] }');
+  });
+
+  it('indents nested structures', () => {
+    assert.equal(serialize({ a: [1] }), '{\n  "a": [\n    1\n  ]\n}');
+  });
+});
+
+describe('diffLines', () => {
+  it('finds the longest common subsequence of lines', () => {
+    const [hunk] = diffLines('a\nb\nc\nd', 'a\nc\nd\ne');
+    assert.deepEqual(hunk.lines, [
+      { op: ' ', text: 'a' },
+      { op: '-', text: 'b' },
+      { op: ' ', text: 'c' },
+      { op: ' ', text: 'd' },
+      { op: '+', text: 'e' }
+    ]);
+    assert.equal(formatHunkHeader(hunk), '@@ -1,4 +1,4 @@');
+  });
+
+  it('returns no hunks for identical text', () => {
+    assert.deepEqual(diffLines('a\nb', 'a\nb'), []);
+  });
+
+  it('keeps only the requested context around each change', () => {
+    const expected = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+    const actual = [...expected];
+    actual[1] = 'changed 2';
+    actual[17] = 'changed 18';
+    const hunks = diffLines(expected.join('\n'), actual.join('\n'), 1);
+    assert.equal(hunks.length, 2);
+    assert.deepEqual(hunks.map(formatHunkHeader), ['@@ -1,3 +1,3 @@', '@@ -17,3 +17,3 @@']);
+    assert.deepEqual(hunks[1].lines.map(({ op }) => op), [' ', '-', '+', ' ']);
+  });
+});
+
+describe('diffObjects', () => {
+  it('lists differing leaves by property path', () => {
+    const changes = diffObjects(
+      { users: [{ email: 'a@x' }, { email: 'b@x' }], kept: 1, gone: true },
+      { users: [{ email: 'a@x' }, { email: 'c@x' }], kept: 1, extra: null }
+    );
+    assert.deepEqual(changes, [
+      { path: 'users[1].email', kind: 'changed', expected: '"b@x"', actual: '"c@x"' },
+      { path: 'gone', kind: 'removed', expected: 'true', actual: null },
+      { path: 'extra', kind: 'added', expected: null, actual: 'null' }
+    ]);
+  });
+
+  it('follows Map entries', () => {
+    const [change] = diffObjects(new Map([['k', { v: 1 }]]), new Map([['k', { v: 2 }]]));
+    assert.equal(change.path, '.get("k").v');
+  });
+});
+
+describe('formatPath', () => {
+  it('formats path segments as an accessor expression', () => {
+    assert.equal(formatPath([]), '(root)');
+    assert.equal(formatPath(['users', 3, 'email']), 'users[3].email');
+    assert.equal(formatPath(['odd key']), '["odd key"]');
+  });
+});
+
+describe('computeDiff', () => {
+  it('combines the line differential and the path register', () => {
+    const analysis = computeDiff({ a: 1 }, { a: 2 });
+    assert.equal(analysis.identical, false);
+    assert.equal(analysis.hunks.length, 1);
+    assert.deepEqual(analysis.changes.map(({ path }) => path), ['a']);
+  });
+
+  it('compares strings as raw text', () => {
+    const analysis = computeDiff('one\ntwo', 'one\nthree');
+    assert.deepEqual(analysis.changes, []);
+    assert.deepEqual(analysis.hunks[0].lines.filter(({ op }) => op !== ' ').map(({ text }) => text), ['two', 'three']);
+  });
+
+  it('is worth rendering for structures and multi-line text only', () => {
+    assert.equal(isDiffable(1, 2), false);
+    assert.equal(isDiffable('a', 'b'), false);
+    assert.equal(isDiffable('a\nb', 'a'), true);
+    assert.equal(isDiffable({}, 1), true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,94 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN EQUALITY DETERMINATION — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-005-EQ-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deepEqual, typeOf } from '../lib/equality.js';
+
+describe('typeOf', () => {
+  it('classifies values more precisely than typeof', () => {
+    assert.equal(typeOf(null), 'null');
+    assert.equal(typeOf([]), 'array');
+    assert.equal(typeOf(new Uint8Array(2)), 'typedarray');
+    assert.equal(typeOf(new Date()), 'date');
+    assert.equal(typeOf(/x/), 'regexp');
+    assert.equal(typeOf(new Map()), 'map');
+    assert.equal(typeOf(new Set()), 'set');
+    assert.equal(typeOf(new TypeError('x')), 'error');
+    assert.equal(typeOf(Promise.resolve()), 'promise');
+    assert.equal(typeOf(1n), 'bigint');
+  });
+});
+
+describe('deepEqual', () => {
+  it('compares primitives, treating NaN as equal to itself', () => {
+    assert.equal(deepEqual(1, 1), true);
+    assert.equal(deepEqual(NaN, NaN), true);
+    assert.equal(deepEqual(1, '1'), false);
+    assert.equal(deepEqual(null, undefined), false);
+  });
+
+  it('compares objects and arrays by structure', () => {
+    assert.equal(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), true);
+    assert.equal(deepEqual({ a: 1 }, { a: 1, b: undefined }), false);
+    assert.equal(deepEqual([1, 2], [2, 1]), false);
+    assert.equal(deepEqual({ a: 1 }, Object.create(null)), false);
+  });
+
+  it('compares an object that appears more than once each time it appears', () => {
+    const memo = { a: 1 };
+    assert.equal(deepEqual([memo, memo], [{ a: 1 }, { a: 1 }]), true);
+    assert.equal(deepEqual({ x: memo, y: memo }, { x: { a: 1 }, y: { a: 2 } }), false);
+  });
+
+  it('pairs circular references', () => {
+    const a = { name: 'a' };
+    a.self = a;
+    const b = { name: 'a' };
+    b.self = b;
+    assert.equal(deepEqual(a, b), true);
+    assert.equal(deepEqual({ x: a }, { x: b }), true);
+
+    const c = { name: 'a', self: { name: 'a' } };
+    assert.equal(deepEqual(a, c), false);
+  });
+
+  it('compares Sets regardless of order, object members by structure', () => {
+    assert.equal(deepEqual(new Set([1, 2]), new Set([2, 1])), true);
+    assert.equal(deepEqual(new Set([{ a: 1 }, { a: 2 }]), new Set([{ a: 2 }, { a: 1 }])), true);
+    assert.equal(deepEqual(new Set([{ a: 1 }, { a: 1 }]), new Set([{ a: 1 }, { a: 2 }])), false);
+    assert.equal(deepEqual(new Set([1]), new Set([1, 2])), false);
+  });
+
+  it('compares Maps with object keys by structure', () => {
+    assert.equal(deepEqual(new Map([[{ k: 1 }, 'x']]), new Map([[{ k: 1 }, 'x']])), true);
+    assert.equal(deepEqual(new Map([[{ k: 1 }, 'x']]), new Map([[{ k: 1 }, 'y']])), false);
+    assert.equal(deepEqual(new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]])), true);
+    assert.equal(deepEqual(new Map([['a', 1]]), new Map([['a', 2]])), false);
+  });
+
+  it('compares boxed primitives by the value they hold', () => {
+    assert.equal(deepEqual(new Number(1), new Number(1)), true);
+    assert.equal(deepEqual(new Number(1), new Number(2)), false);
+    assert.equal(deepEqual(new String('a'), new String('b')), false);
+    assert.equal(deepEqual(new Boolean(true), new Boolean(false)), false);
+  });
+
+  it('compares dates, regular expressions, errors and typed arrays', () => {
+    assert.equal(deepEqual(new Date(0), new Date(0)), true);
+    assert.equal(deepEqual(new Date(0), new Date(1)), false);
+    assert.equal(deepEqual(/a/g, /a/g), true);
+    assert.equal(deepEqual(/a/g, /a/i), false);
+    assert.equal(deepEqual(new Error('x'), new Error('x')), true);
+    assert.equal(deepEqual(new Error('x'), new Error('y')), false);
+    assert.equal(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2])), true);
+    assert.equal(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 3])), false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
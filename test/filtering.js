@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN TEST FILTERING — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-022-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BufferSink, createTestSuite } from '../index.js';
+import { loadLedger } from '../lib/ledger.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-filtering-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+// The same document under any filters: two sections of tagged tests
+function declare(filters = {}) {
+  const suite = createTestSuite('Filtering', { output: new BufferSink(), ...filters });
+  suite
+    .section('Accounts')
+    .test('opens an account', () => true, { tags: ['fast'] })
+    .test('closes an account', () => true, { tags: ['slow'] })
+    .section('Ledgers')
+    .test('balances the ledger', () => true, { tags: ['fast'] });
+  return suite;
+}
+
+const filed = document => document.sections.flatMap(section => section.tests.map(test => `${test.id} ${test.key}`));
+
+describe('test filters', () => {
+  it('selects tests by a pattern over their full title', async () => {
+    const suite = declare({ grep: 'Accounts › .*account' });
+    const document = await suite.summary();
+    assert.deepEqual(filed(document), ['1.1 Accounts › opens an account', '1.2 Accounts › closes an account']);
+    assert.equal(document.stats.withheld, 1);
+    assert.deepEqual([...suite.withheldKeys], ['Ledgers › balances the ledger']);
+  });
+
+  it('selects sections by number or title, keeping their numbers', async () => {
+    const byNumber = await declare({ sections: [2] }).summary();
+    const byTitle = await declare({ sections: ['ledgers'] }).summary();
+    assert.deepEqual(filed(byNumber), ['2.1 Ledgers › balances the ledger']);
+    assert.deepEqual(byTitle.sections.map(section => [section.number, section.title]), [[2, 'Ledgers']]);
+  });
+
+  it('selects and excludes tests by tag', async () => {
+    assert.deepEqual(filed(await declare({ tags: ['fast'] }).summary()), ['1.1 Accounts › opens an account', '2.1 Ledgers › balances the ledger']);
+    assert.deepEqual(filed(await declare({ excludeTags: ['fast'] }).summary()), ['1.2 Accounts › closes an account']);
+  });
+
+  it('keeps the ledger entries of withheld tests', async () => {
+    const ledger = join(directory, 'ledger.json');
+    await declare({ ledger }).summary();
+    await declare({ ledger, tags: ['slow'] }).summary();
+
+    const [record] = Object.values((await loadLedger(ledger)).suites);
+    assert.deepEqual(record.entries.map(entry => entry.key).sort(), [
+      'Accounts › closes an account',
+      'Accounts › opens an account',
+      'Ledgers › balances the ledger'
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,82 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN LIFECYCLE HOOKS — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-003-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BufferSink, createTestSuite } from '../index.js';
+
+const quiet = () => createTestSuite('Hooks', { output: new BufferSink() });
+
+describe('lifecycle hooks', () => {
+  it('wraps tests from the outside in and tears down from the inside out', async () => {
+    const calls = [];
+    const note = call => () => { calls.push(call); };
+    await quiet()
+      .beforeEach(note('suite beforeEach'))
+      .afterEach(note('suite afterEach'))
+      .section('Scoped')
+      .before(note('section before'))
+      .after(note('section after'))
+      .beforeEach(note('section beforeEach'))
+      .afterEach(note('section afterEach'))
+      .test('first', () => { calls.push('first'); return true; })
+      .section('Unscoped')
+      .test('second', () => { calls.push('second'); return true; })
+      .summary();
+
+    assert.deepEqual(calls, [
+      'section before',
+      'suite beforeEach', 'section beforeEach', 'first', 'section afterEach', 'suite afterEach',
+      'section after',
+      'suite beforeEach', 'second', 'suite afterEach'
+    ]);
+  });
+
+  it('skips a test a failing beforeEach blocks and charges only the hook', async () => {
+    const calls = [];
+    const document = await quiet()
+      .section('Guarded')
+      .beforeEach(() => { throw new Error('no fixture'); })
+      .afterEach(() => { calls.push('afterEach'); })
+      .test('blocked', () => true)
+      .summary();
+
+    const [section] = document.sections;
+    assert.deepEqual(section.tests.map(({ id, status, message }) => [id, status, message]), [
+      ['1:beforeEach', 'HOOK_FAILED', 'no fixture'],
+      ['1.1', 'SKIPPED', 'Not executed: beforeEach hook failed']
+    ]);
+    assert.deepEqual(calls, ['afterEach']);
+    assert.equal(document.stats.failed, 1);
+    assert.equal(document.stats.hookFailures, 1);
+    assert.equal(document.stats.skipped, 1);
+  });
+
+  it('runs neither the tests nor afterEach of a scope whose before failed', async () => {
+    const calls = [];
+    const document = await quiet()
+      .afterEach(() => { calls.push('afterEach'); })
+      .section('Unopened')
+      .before(() => { throw new Error('no connection'); })
+      .after(() => { calls.push('after'); })
+      .test('first', () => { calls.push('first'); return true; })
+      .test('second', () => { calls.push('second'); return true; })
+      .summary();
+
+    const [section] = document.sections;
+    assert.deepEqual(section.tests.map(({ status, message }) => `${status} ${message}`), [
+      'HOOK_FAILED no connection',
+      'SKIPPED Not executed: before hook failed',
+      'SKIPPED Not executed: before hook failed'
+    ]);
+    assert.deepEqual(calls, ['after']);
+    assert.equal(document.stats.failed, 1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,92 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN RESULTS LEDGER — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-019-LEDGER-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compareLedgers, ledgerRecord, loadLedger, saveLedger } from '../lib/ledger.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-ledger-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const entry = (key, status = 'PASSED') => ({ key, id: '1.1', path: [], description: key, status, duration: 1 });
+
+describe('saveLedger', () => {
+  it('keeps the filings of other suites', async () => {
+    const file = join(directory, 'merged.json');
+    await saveLedger(file, { file: 'a.test.js', name: 'Suite' }, { documentId: 'A' }, [entry('one')]);
+    await saveLedger(file, { file: 'b.test.js', name: 'Suite' }, { documentId: 'B' }, [entry('two')]);
+    await saveLedger(file, { file: 'a.test.js', name: 'Suite' }, { documentId: 'C' }, [entry('three')]);
+
+    const ledger = await loadLedger(file);
+    assert.deepEqual(Object.keys(ledger.suites), ['a.test.js › Suite', 'b.test.js › Suite']);
+    assert.equal(ledger.suites['a.test.js › Suite'].documentId, 'C');
+    assert.deepEqual(ledger.suites['b.test.js › Suite'].entries.map(e => e.key), ['two']);
+  });
+
+  it('loses no filing when suites file at once', async () => {
+    const file = join(directory, 'parallel.json');
+    await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      saveLedger(file, { file: `${i}.test.js`, name: 'Suite' }, { documentId: String(i) }, [entry('one')])));
+
+    const ledger = await loadLedger(file);
+    assert.equal(Object.keys(ledger.suites).length, 8);
+    assert.deepEqual(await readdir(directory).then(names => names.filter(name => name.startsWith('parallel'))), ['parallel.json']);
+  });
+
+  it('carries over the entries of withheld tests', async () => {
+    const file = join(directory, 'withheld.json');
+    const suite = { file: 'a.test.js', name: 'Suite' };
+    await saveLedger(file, suite, { documentId: 'A' }, [entry('one'), entry('two'), entry('three')]);
+    await saveLedger(file, suite, { documentId: 'B' }, [entry('one', 'FAILED')], new Set(['two']));
+
+    const { entries } = ledgerRecord(await loadLedger(file), suite);
+    assert.deepEqual(entries.map(e => `${e.key} ${e.status}`), ['one FAILED', 'two PASSED']);
+  });
+});
+
+describe('ledgerRecord', () => {
+  it('finds a suite by file and name', () => {
+    const ledger = { version: 2, suites: { 'a.test.js › Suite': { entries: [] } } };
+    assert.ok(ledgerRecord(ledger, { file: 'a.test.js', name: 'Suite' }));
+    assert.equal(ledgerRecord(ledger, { file: 'b.test.js', name: 'Suite' }), null);
+  });
+
+  it('matches a first-version ledger by suite name', () => {
+    const ledger = { version: 1, suite: 'Suite', entries: [] };
+    assert.equal(ledgerRecord(ledger, { file: 'a.test.js', name: 'Suite' }), ledger);
+    assert.equal(ledgerRecord(ledger, { file: 'a.test.js', name: 'Other' }), null);
+  });
+});
+
+describe('compareLedgers', () => {
+  it('compares a suite only with its own filing', () => {
+    const ledger = {
+      version: 2,
+      suites: {
+        'a.test.js › Suite': { entries: [entry('one'), entry('two', 'FAILED')] },
+        'b.test.js › Suite': { entries: [entry('elsewhere')] }
+      }
+    };
+    const record = ledgerRecord(ledger, { file: 'a.test.js', name: 'Suite' });
+    const variance = compareLedgers(record, [entry('two'), entry('three')]);
+
+    assert.deepEqual(variance.removed.map(e => e.key), ['one']);
+    assert.deepEqual(variance.added.map(e => e.key), ['three']);
+    assert.deepEqual(variance.newlyPassing.map(e => e.key), ['two']);
+  });
+
+  it('does not report withheld tests as removed', () => {
+    const variance = compareLedgers({ entries: [entry('one'), entry('two')] }, [entry('one')], new Set(['two']));
+    assert.deepEqual(variance.removed, []);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
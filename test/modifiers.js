@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN TEST MODIFIERS — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-004-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BufferSink, createTestSuite } from '../index.js';
+
+const quiet = () => createTestSuite('Modifiers', { output: new BufferSink() });
+const filed = tests => tests.map(({ description, status, message }) => [description, status, message]);
+
+describe('test modifiers', () => {
+  it('files skipped and to-do tests with their reasons, unexecuted', async () => {
+    const executed = [];
+    const run = description => () => { executed.push(description); return true; };
+    const document = await quiet()
+      .test('runs', run('runs'))
+      .test.skip('skipped', run('skipped'))
+      .test('skipped with reason', run('skipped with reason'), { skip: 'flaky upstream' })
+      .test.todo('pending', run('pending'))
+      .test('pending with reason', run('pending with reason'), { todo: 'awaiting schema' })
+      .summary();
+
+    assert.deepEqual(executed, ['runs']);
+    assert.deepEqual(filed(document.tests), [
+      ['runs', 'PASSED', null],
+      ['skipped', 'SKIPPED', null],
+      ['skipped with reason', 'SKIPPED', 'flaky upstream'],
+      ['pending', 'TODO', null],
+      ['pending with reason', 'TODO', 'awaiting schema']
+    ]);
+    assert.equal(document.stats.skipped, 2);
+    assert.equal(document.stats.todo, 2);
+    assert.equal(document.passed, true);
+  });
+
+  it('skips every test in a skipped section', async () => {
+    const document = await quiet()
+      .section.skip('Dormant')
+      .test('inside', () => true)
+      .section('Active')
+      .test('outside', () => true)
+      .summary();
+
+    const [dormant, active] = document.sections;
+    assert.equal(dormant.skipped, true);
+    assert.deepEqual(filed(dormant.tests), [['inside', 'SKIPPED', 'Section "Dormant" skipped']]);
+    assert.deepEqual(filed(active.tests), [['outside', 'PASSED', null]]);
+  });
+
+  it('runs only the tests marked only, wherever they are declared', async () => {
+    const document = await quiet()
+      .test('before', () => true)
+      .test.only('chosen', () => true)
+      .test('after', () => true)
+      .summary();
+
+    assert.deepEqual(filed(document.tests), [
+      ['before', 'SKIPPED', 'Excluded by only()'],
+      ['chosen', 'PASSED', null],
+      ['after', 'SKIPPED', 'Excluded by only()']
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
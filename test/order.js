@@ -0,0 +1,56 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN RANDOM ORDER — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-025-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BufferSink, createTestSuite } from '../index.js';
+
+const DESCRIPTIONS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel'];
+
+// Run two sections of tests in the given order and return the order they ran in
+async function run(randomOrder, seed) {
+  const ran = [];
+  const suite = createTestSuite('Order', { output: new BufferSink(), randomOrder, seed });
+  ['First', 'Second'].forEach(title => {
+    suite.section(title);
+    DESCRIPTIONS.forEach(description => suite.test(description, () => { ran.push(`${title} ${description}`); return true; }));
+  });
+  const document = await suite.summary();
+  return { ran, document };
+}
+
+const identities = document => document.sections.flatMap(section => section.tests.map(test => `${test.id} ${test.key}`)).sort();
+
+describe('random order', () => {
+  it('replays the same order from the same seed', async () => {
+    const first = await run(true, 1984);
+    const again = await run(true, 1984);
+    const other = await run(true, 2024);
+    assert.deepEqual(again.ran, first.ran);
+    assert.notDeepEqual(other.ran, first.ran);
+    assert.equal(first.document.metadata.seed, 1984);
+    assert.equal(first.document.metadata.order, 'RANDOM');
+  });
+
+  it('shuffles tests within their sections only', async () => {
+    const { ran } = await run(true, 1984);
+    assert.ok(ran.slice(0, DESCRIPTIONS.length).every(entry => entry.startsWith('First ')));
+    assert.notDeepEqual(ran.slice(0, DESCRIPTIONS.length), DESCRIPTIONS.map(description => `First ${description}`));
+  });
+
+  it('keeps every test\'s number and key whatever the order', async () => {
+    const declared = await run(false);
+    const shuffled = await run(true, 1984);
+    const sections = await run('sections', 1984);
+    assert.deepEqual(identities(shuffled.document), identities(declared.document));
+    assert.deepEqual(identities(sections.document), identities(declared.document));
+    assert.deepEqual(sections.document.sections.map(section => section.number).sort(), [1, 2]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
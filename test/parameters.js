@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PARAMETERIZED TESTS — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-023-PARAM-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { display, interpolate, tabulate } from '../lib/parameters.js';
+
+describe('interpolate', () => {
+  it('fills printf-style placeholders from an array row in order', () => {
+    assert.equal(interpolate('%s plus %d is %i', ['one', 2.7, '3'], 0), 'one plus 2 is 3');
+    assert.equal(interpolate('%f and %j', [1.5, { a: 1 }], 0), '1.5 and { "a": 1 }');
+    assert.equal(interpolate('%o %O %p', [[1], 'x', null], 0), '[ 1 ] "x" null');
+  });
+
+  it('fills the row index and a literal percent sign', () => {
+    assert.equal(interpolate('case %# at 100%%', [], 4), 'case 4 at 100%');
+  });
+
+  it('leaves placeholders without a value in place', () => {
+    assert.equal(interpolate('%s and %s', ['only'], 0), 'only and %s');
+  });
+
+  it('fills named placeholders and paths from an object row', () => {
+    const row = { user: { name: 'Smith', roles: ['clerk'] }, level: 3 };
+    assert.equal(interpolate('$user.name at level $level ($#)', row, 2), 'Smith at level 3 (2)');
+    assert.equal(interpolate('$user.roles', row, 0), '[ "clerk" ]');
+    assert.equal(interpolate('$missing stays', row, 0), '$missing stays');
+  });
+
+  it('treats any other row as a single value', () => {
+    assert.equal(interpolate('value %s', 7, 0), 'value 7');
+  });
+});
+
+describe('tabulate', () => {
+  it('lays out object rows by property', () => {
+    assert.deepEqual(tabulate([{ a: 1, b: 'x' }, { a: 2, c: true }]), {
+      headings: ['a', 'b', 'c'],
+      cells: [['1', 'x', ''], ['2', '', 'true']]
+    });
+  });
+
+  it('lays out array rows by position, under the given columns', () => {
+    assert.deepEqual(tabulate([[1, 2], [3]]), { headings: ['ARG 1', 'ARG 2'], cells: [['1', '2'], ['3', '']] });
+    assert.deepEqual(tabulate([[1, 2]], ['x', 'y']), { headings: ['x', 'y'], cells: [['1', '2']] });
+  });
+
+  it('treats scalar rows as one column', () => {
+    assert.deepEqual(tabulate(['a', 'b']), { headings: ['ARG 1'], cells: [['a'], ['b']] });
+  });
+});
+
+describe('display', () => {
+  it('shows strings as they are and anything else serialized', () => {
+    assert.equal(display('text'), 'text');
+    assert.equal(display([1, 'a']), '[ 1, "a" ]');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
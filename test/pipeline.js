@@ -0,0 +1,68 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN EXECUTION PIPELINE — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-001-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { BufferSink, createTestSuite } from '../index.js';
+
+const quiet = (options = {}) => createTestSuite('Pipeline', { output: new BufferSink(), ...options });
+
+describe('execution pipeline', () => {
+  it('settles asynchronous tests in document order', async () => {
+    const settled = [];
+    await quiet()
+      .test('slow', async () => { await delay(30); settled.push('slow'); return true; })
+      .test('fast', async () => { settled.push('fast'); return true; })
+      .test('synchronous', () => { settled.push('synchronous'); return true; })
+      .summary();
+
+    assert.deepEqual(settled, ['slow', 'fast', 'synchronous']);
+  });
+
+  it('files results under their sections and subsections', async () => {
+    const document = await quiet()
+      .test('preamble', () => true)
+      .section('Structure')
+      .test('first', () => true)
+      .subsection('Nested')
+      .test('second', async () => false)
+      .summary();
+
+    assert.deepEqual(document.tests.map(test => test.id), ['0.1']);
+    const [section] = document.sections;
+    assert.equal(section.title, 'Structure');
+    assert.deepEqual(section.tests.map(test => `${test.id} ${test.status}`), ['1.1 PASSED']);
+    assert.deepEqual(section.subsections.map(sub => [sub.id, sub.title]), [['1.2', 'Nested']]);
+    assert.deepEqual(section.subsections[0].tests.map(test => `${test.id} ${test.status}`), ['1.2 FAILED']);
+  });
+
+  it('resolves the summary to the result document', async () => {
+    const document = await quiet({ documentId: 'PTF-TEST' })
+      .test('passes', () => true)
+      .test('rejects', async () => { throw new Error('rejected'); })
+      .test('reports', () => ({ passed: false, actual: 1, expected: 2, message: 'mismatch' }))
+      .summary();
+
+    assert.equal(document.suite, 'Pipeline');
+    assert.equal(document.metadata.documentId, 'PTF-TEST');
+    assert.equal(document.passed, false);
+    assert.equal(document.stats.total, 3);
+    assert.equal(document.stats.passed, 1);
+    assert.equal(document.stats.failed, 2);
+    assert.deepEqual(document.tests.map(({ status, message }) => [status, message]), [
+      ['PASSED', null],
+      ['FAILED', 'rejected'],
+      ['FAILED', 'mismatch']
+    ]);
+    assert.equal(document.tests[2].actual, 1);
+    assert.equal(document.tests[2].expected, 2);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,113 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PROPERTY VERIFICATION — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-024-PROP-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { array, checkProperty, createRandom, integer, object, oneOf, propertyParticulars, string } from '../lib/property.js';
+
+describe('createRandom', () => {
+  it('replays the same sequence from the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const draw = random => Array.from({ length: 5 }, () => random.integer(0, 1000));
+    assert.deepEqual(draw(first), draw(second));
+    assert.notDeepEqual(draw(createRandom(42)), draw(createRandom(43)));
+  });
+
+  it('draws integers within bounds', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random.integer(-3, 3);
+      assert.ok(Number.isInteger(value) && value >= -3 && value <= 3);
+    }
+  });
+});
+
+describe('generators', () => {
+  it('generate values they contain', () => {
+    const random = createRandom(1);
+    const shapes = [
+      integer({ min: 5, max: 9 }),
+      string({ minLength: 2, maxLength: 4, chars: 'xy' }),
+      array(integer({ min: 0, max: 3 }), { maxLength: 5 }),
+      object({ id: integer(), name: string() }),
+      oneOf('a', 'b', integer({ min: 0, max: 1 }))
+    ];
+    for (const generator of shapes) {
+      for (let run = 1; run <= 50; run++) {
+        assert.ok(generator.contains(generator.generate(random, run / 50)));
+      }
+    }
+  });
+});
+
+describe('shrinking', () => {
+  it('shrinks integers towards zero, then by halving the distance', () => {
+    assert.deepEqual([...integer().shrink(10)], [0, 5, 8, 9]);
+    assert.deepEqual([...integer().shrink(-10)], [0, -5, -8, -9]);
+    assert.deepEqual([...integer().shrink(0)], []);
+  });
+
+  it('shrinks integers towards the bound nearest zero', () => {
+    assert.deepEqual([...integer({ min: 5, max: 20 }).shrink(9)], [5, 7, 8]);
+    assert.deepEqual([...integer({ min: -20, max: -5 }).shrink(-9)], [-5, -7, -8]);
+  });
+
+  it('shrinks strings by length, then by removal, then towards the simplest character', () => {
+    assert.deepEqual([...string({ chars: 'ab' }).shrink('ba')], ['', 'b', 'a', 'b', 'aa']);
+    assert.deepEqual([...string({ minLength: 2, chars: 'ab' }).shrink('bb')], ['ab', 'ba']);
+  });
+
+  it('shrinks arrays by length, then by removal, then element by element', () => {
+    assert.deepEqual([...array(integer()).shrink([3, 1])], [[], [3], [1], [3], [0, 1], [2, 1], [3, 0]]);
+    assert.deepEqual([...array(integer(), { minLength: 1 }).shrink([2])], [[0], [1]]);
+  });
+});
+
+describe('checkProperty', () => {
+  it('passes when the predicate holds for every case', async () => {
+    const outcome = await checkProperty([integer(), integer()], (a, b) => a + b === b + a, { seed: 1, runs: 50 });
+    assert.deepEqual(outcome, { passed: true, runs: 50, seed: 1 });
+  });
+
+  it('shrinks a counterexample to the smallest that still fails', async () => {
+    const outcome = await checkProperty([integer()], value => value < 10, { seed: 3 });
+    assert.equal(outcome.passed, false);
+    assert.deepEqual(outcome.counterexample, [10]);
+    assert.equal(outcome.seed, 3);
+  });
+
+  it('shrinks arrays to the smallest failing case', async () => {
+    const outcome = await checkProperty(array(integer({ min: 0, max: 100 })), list => list.every(value => value < 50), { seed: 5 });
+    assert.deepEqual(outcome.counterexample, [50]);
+  });
+
+  it('reports the error raised by a failing case', async () => {
+    const outcome = await checkProperty({ name: string({ minLength: 1 }) }, () => { throw new RangeError('refused'); }, { seed: 9 });
+    assert.equal(outcome.error.message, 'refused');
+    assert.deepEqual(outcome.counterexample, { name: ' ' });
+  });
+
+  it('replays the same case from the same seed', async () => {
+    const predicate = value => value % 7 !== 3;
+    const first = await checkProperty(integer(), predicate, { seed: 11 });
+    const second = await checkProperty(integer(), predicate, { seed: 11 });
+    assert.deepEqual(first, second);
+  });
+
+  it('describes a falsified property', () => {
+    const particulars = propertyParticulars({ seed: 4, counterexample: [10], original: [734], shrinks: 6 });
+    assert.deepEqual(particulars, [
+      ['Counterexample', '[ 10 ]'],
+      ['Seed', '4 (replay with --seed=4)'],
+      ['Shrunk from', '[ 734 ] in 6 step(s)']
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,82 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN COMMAND LINE RUNNER — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-008-RUN-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, relative } from 'node:path';
+import { BufferSink, JsonReporter } from '../index.js';
+import { discoverSuites, executeSuites, reportOutcomes } from '../lib/runner.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-runner-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const politician = new URL('../index.js', import.meta.url).href;
+
+// A suite file filing the given chained steps to a buffer
+const suiteFile = (name, steps) => [
+  `import { BufferSink, createTestSuite } from '${politician}';`,
+  `createTestSuite('${name}', { output: new BufferSink() })`,
+  ...steps.map(step => `  ${step}`)
+].join('\n');
+
+before(async () => {
+  await mkdir(join(directory, 'nested'));
+  await mkdir(join(directory, 'node_modules'));
+  await writeFile(join(directory, 'passing.test.js'), suiteFile('Passing', ['.test(\'passes\', () => true)', '.exit();']));
+  await writeFile(join(directory, 'failing.test.js'), suiteFile('Failing', ['.test(\'passes\', () => true)', '.test(\'fails\', () => false)', '.exit();']));
+  await writeFile(join(directory, 'nested', 'silent.test.js'), 'process.exit(0);');
+  await writeFile(join(directory, 'nested', 'helper.js'), 'export const helper = true;');
+  await writeFile(join(directory, 'node_modules', 'vendored.test.js'), 'process.exit(1);');
+});
+
+// Every file is executed once and the outcomes shared
+let execution = null;
+const execute = async () => execution ??= executeSuites(await discoverSuites([], directory), { fileTimeout: 30000 });
+
+const names = files => files.map(file => relative(directory, file).split('\\').join('/'));
+
+describe('discoverSuites', () => {
+  it('searches directories for suite files, passing over node_modules', async () => {
+    assert.deepEqual(names(await discoverSuites([], directory)), ['failing.test.js', 'nested/silent.test.js', 'passing.test.js']);
+    assert.deepEqual(names(await discoverSuites(['nested'], directory)), ['nested/silent.test.js']);
+  });
+
+  it('resolves globs and named files', async () => {
+    assert.deepEqual(names(await discoverSuites(['*.test.js'], directory)), ['failing.test.js', 'passing.test.js']);
+    assert.deepEqual(names(await discoverSuites(['nested/helper.js', 'pass?ng.test.js'], directory)), ['nested/helper.js', 'passing.test.js']);
+  });
+});
+
+describe('executeSuites', () => {
+  it('runs each file in turn and judges it by what it filed', async () => {
+    const outcomes = await execute();
+    assert.deepEqual(outcomes.map(({ passed, exitCode, error }) => [passed, exitCode, error]), [
+      [false, 1, null],
+      [false, 0, 'Suite terminated without filing results (exit code 0)'],
+      [true, 0, null]
+    ]);
+    assert.deepEqual(outcomes[0].suites[0].failures.map(failure => failure.description), ['fails']);
+  });
+
+  it('files one consolidated document for every file', async () => {
+    const outcomes = await execute();
+    const sink = new BufferSink();
+    const document = reportOutcomes(outcomes, 0, new JsonReporter({}, { sink }));
+
+    assert.equal(document.passed, false);
+    assert.deepEqual(document.suites.map(suite => suite.suite), ['Failing', 'Passing']);
+    assert.deepEqual(document.files.map(entry => [entry.total, entry.failed]), [[2, 1], [0, 0], [1, 0]]);
+    assert.equal(document.stats.total, 4);
+    assert.equal(document.stats.failed, 2);
+    assert.deepEqual(JSON.parse(sink.text()).stats, document.stats);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,85 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN OUTPUT SINKS — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-015-SINK-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PassThrough } from 'node:stream';
+import { BufferSink, FileSink, RelaySink, StreamSink, createSink } from '../lib/sink.js';
+import { createTestSuite } from '../index.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-sink-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+describe('FileSink', () => {
+  it('replaces the file, creating its directory', async () => {
+    const path = join(directory, 'reports', 'replaced.txt');
+    const first = new FileSink(path);
+    first.write('obsolete');
+    await first.close();
+
+    const second = new FileSink(path);
+    second.write('current');
+    await second.close();
+    assert.equal(await readFile(path, 'utf8'), 'current');
+  });
+
+  it('appends when asked, without overwriting other writers', async () => {
+    const path = join(directory, 'appended.txt');
+    await writeFile(path, 'kept\n');
+    const one = new FileSink(path, { append: true });
+    const two = new FileSink(path, { append: true });
+    one.write('one\n');
+    await one.close();
+    two.write('two\n');
+    await two.close();
+    assert.equal(await readFile(path, 'utf8'), 'kept\none\ntwo\n');
+  });
+});
+
+describe('createSink', () => {
+  it('resolves sinks, paths, streams and standard output', async () => {
+    const buffer = new BufferSink();
+    assert.equal(createSink(buffer), buffer);
+
+    const file = createSink(join(directory, 'resolved.txt'));
+    assert.ok(file instanceof FileSink);
+    await file.close();
+
+    const relayed = [];
+    const relay = createSink('relayed.txt', { relay: (path, text) => relayed.push([path, text]) });
+    assert.ok(relay instanceof RelaySink);
+    relay.write('text');
+    assert.deepEqual(relayed, [['relayed.txt', 'text']]);
+
+    const stream = new PassThrough();
+    const wrapped = createSink(stream);
+    assert.ok(wrapped instanceof StreamSink);
+    wrapped.write('streamed');
+    assert.equal(stream.read().toString(), 'streamed');
+
+    assert.equal(createSink(), createSink(undefined));
+  });
+});
+
+describe('suite output', () => {
+  it('sends a suite\'s report to the given sink', async () => {
+    const output = new BufferSink();
+    await createTestSuite('Sinks', { format: 'markdown', output })
+      .header()
+      .test('reaches the buffer', () => true)
+      .summary();
+
+    assert.match(output.text(), /Sinks/);
+    assert.match(output.text(), /reaches the buffer/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,88 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN SNAPSHOT REGISTRY — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-007-SNAP-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SnapshotRegistry } from '../lib/snapshot.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-snapshot-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const registry = async (name, records, options) => {
+  const file = join(directory, name);
+  await writeFile(file, JSON.stringify({ Suite: records }));
+  return new SnapshotRegistry(file, { suite: 'Suite', ...options });
+};
+
+const recorded = async file => JSON.parse(await readFile(file, 'utf8'));
+
+describe('SnapshotRegistry.save', () => {
+  it('removes unchecked records in update mode', async () => {
+    const snapshots = await registry('prune.snap', { kept: '1', stale: '2' }, { update: true });
+    await snapshots.check('kept', '1');
+    const report = await snapshots.save();
+
+    assert.deepEqual(report.removed, ['stale']);
+    assert.deepEqual(Object.keys((await recorded(snapshots.file)).Suite), ['kept']);
+  });
+
+  it('neither reports nor removes unchecked records without pruning', async () => {
+    const snapshots = await registry('partial.snap', { kept: '1', withheld: '2' }, { update: true });
+    await snapshots.check('kept', '1');
+    await snapshots.check('added', '3');
+    const report = await snapshots.save({ prune: false });
+
+    assert.deepEqual(report.removed, []);
+    assert.deepEqual(report.obsolete, []);
+    assert.deepEqual(report.written, ['added']);
+    assert.deepEqual(Object.keys((await recorded(snapshots.file)).Suite), ['kept', 'withheld', 'added']);
+  });
+
+  it('keeps records claimed by checks that did not run', async () => {
+    const snapshots = await registry('claimed.snap', { kept: '1', skipped: '2', stale: '3' }, { update: true });
+    snapshots.claim('skipped');
+    await snapshots.check('kept', '1');
+    const report = await snapshots.save();
+
+    assert.deepEqual(report.removed, ['stale']);
+  });
+});
+
+describe('SnapshotRegistry shared by several suites', () => {
+  it('keeps every suite\'s records under its own name', async () => {
+    const file = join(directory, 'shared.snap');
+    const alpha = new SnapshotRegistry(file, { suite: 'Alpha' });
+    const beta = new SnapshotRegistry(file, { suite: 'Beta' });
+    await alpha.check('alpha', 1);
+    await beta.check('beta', 2);
+    await Promise.all([alpha.save(), beta.save()]);
+
+    const again = new SnapshotRegistry(file, { suite: 'Beta', update: true });
+    await again.check('beta', 2);
+    const report = await again.save();
+
+    assert.deepEqual(report.removed, []);
+    assert.deepEqual(await recorded(file), { Alpha: { alpha: '1' }, Beta: { beta: '2' } });
+  });
+
+  it('reads a file of the first version as the suite\'s own', async () => {
+    const file = join(directory, 'unkeyed.snap');
+    await writeFile(file, JSON.stringify({ alpha: '1' }));
+    const snapshots = new SnapshotRegistry(file, { suite: 'Alpha' });
+
+    assert.equal((await snapshots.check('alpha', 1)).status, 'MATCHED');
+    await snapshots.check('added', 2);
+    await snapshots.save();
+    assert.deepEqual(await recorded(file), { Alpha: { alpha: '1', added: '2' } });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN TIME ALLOTMENTS — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-002-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as delay } from 'node:timers/promises';
+import { BufferSink, createTestSuite } from '../index.js';
+import { runSuite } from '../lib/runner.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-timeouts-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const politician = new URL('../index.js', import.meta.url).href;
+
+describe('test time allotments', () => {
+  it('records a test that overruns the suite allotment as timed out', async () => {
+    const document = await createTestSuite('Allotments', { output: new BufferSink(), timeout: 20 })
+      .test('settles', async () => { await delay(1); return true; })
+      .test('overruns', async () => { await delay(200); return true; })
+      .summary();
+
+    assert.deepEqual(document.tests.map(test => test.status), ['PASSED', 'TIMEOUT']);
+    assert.match(document.tests[1].message, /20ms/);
+    assert.equal(document.stats.timedOut, 1);
+    assert.equal(document.stats.failed, 1);
+  });
+
+  it('lets a test override the suite allotment', async () => {
+    const document = await createTestSuite('Allotments', { output: new BufferSink(), timeout: 20 })
+      .test('granted more', async () => { await delay(50); return true; }, { timeout: 1000 })
+      .test('granted less', async () => { await delay(50); return true; }, { timeout: 5 })
+      .summary();
+
+    assert.deepEqual(document.tests.map(test => test.status), ['PASSED', 'TIMEOUT']);
+  });
+});
+
+describe('file time allotments', () => {
+  it('keeps the results of a stopped file and charges the running test', async () => {
+    const file = join(directory, 'looping.test.js');
+    await writeFile(file, [
+      `import { BufferSink, createTestSuite } from '${politician}';`,
+      `createTestSuite('Looping', { output: new BufferSink() })`,
+      `  .section('Loops')`,
+      `  .test('settles', () => true)`,
+      `  .test('loops', () => { for (;;); })`,
+      `  .summary();`
+    ].join('\n'));
+
+    const outcome = await runSuite(file, [], 1000);
+    assert.equal(outcome.passed, false);
+    assert.equal(outcome.error, null);
+
+    const [suite] = outcome.suites;
+    assert.equal(suite.name, 'Looping');
+    const [section] = suite.results.sections;
+    assert.equal(section.title, 'Loops');
+    assert.deepEqual(section.tests.map(test => `${test.key} ${test.status}`), ['Loops › settles PASSED', 'Loops › loops TIMEOUT']);
+    assert.equal(section.tests[1].message, 'Exceeded file time allotment of 1000ms');
+    assert.equal(suite.stats.timedOut, 1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,65 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLITICIAN PARALLEL EXECUTION — VERIFICATION
+// Classification: UNCLASSIFIED
+// Document Control Number: PTF-1984-009-T
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { executeSuites, runSuiteInWorker } from '../lib/runner.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'politician-workers-'));
+after(() => rm(directory, { recursive: true, force: true }));
+
+const politician = new URL('../index.js', import.meta.url).href;
+
+describe('runSuiteInWorker', () => {
+  it('buffers the console output and takes an exit as the exit code', async () => {
+    const file = join(directory, 'exiting.test.js');
+    await writeFile(file, [
+      `import { BufferSink, createTestSuite } from '${politician}';`,
+      `console.log('narrative');`,
+      `createTestSuite('Exiting', { output: new BufferSink() }).test('fails', () => false).exit();`
+    ].join('\n'));
+
+    const outcome = await runSuiteInWorker(file, [], 30000);
+    assert.equal(outcome.output.toString(), 'narrative\n');
+    assert.equal(outcome.exitCode, 1);
+    assert.equal(outcome.passed, false);
+    assert.deepEqual(outcome.suites.map(suite => suite.name), ['Exiting']);
+  });
+});
+
+describe('executeSuites with jobs', () => {
+  it('writes each file\'s output to shared files whole and in file order', async () => {
+    const report = join(directory, 'report.md');
+    const files = await Promise.all(['Slow', 'Fast'].map(async (name, index) => {
+      const file = join(directory, `${index}-${name.toLowerCase()}.test.js`);
+      await writeFile(file, [
+        `import { setTimeout as delay } from 'node:timers/promises';`,
+        `import { createTestSuite } from '${politician}';`,
+        `createTestSuite('${name}', { format: 'markdown', output: ${JSON.stringify(report)} })`,
+        `  .header()`,
+        `  .test('${name} first', async () => { await delay(${name === 'Slow' ? 200 : 1}); return true; })`,
+        `  .test('${name} second', () => true)`,
+        `  .exit();`
+      ].join('\n'));
+      return file;
+    }));
+
+    const outcomes = await executeSuites(files, { jobs: 2, fileTimeout: 30000 });
+    assert.deepEqual(outcomes.map(outcome => outcome.passed), [true, true]);
+
+    const text = await readFile(report, 'utf8');
+    const positions = ['Slow first', 'Slow second', 'Fast first', 'Fast second'].map(description => text.indexOf(description));
+    assert.ok(positions.every(position => position >= 0), text);
+    assert.deepEqual([...positions].sort((a, b) => a - b), positions);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// END OF DOCUMENT
+// ═══════════════════════════════════════════════════════════════════════════════